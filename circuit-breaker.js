@@ -0,0 +1,168 @@
+/**
+ * Provider Circuit Breakers for NeuroLink Demo Server
+ *
+ * Tracks consecutive failures per provider so the fallback loop can skip
+ * providers that are known to be failing instead of waiting for them to
+ * time out on every request.
+ *
+ * States:
+ * - closed: requests flow normally
+ * - open: requests are skipped until the cooldown elapses
+ * - half-open: a single probe request is allowed to test recovery
+ *
+ * Only timeouts, outages and other server-side failures count; a request the
+ * provider rejected (bad input, credentials, unknown model) says nothing
+ * about whether the provider is up.
+ */
+
+import { classifyProviderError } from "./errors.js";
+
+// Consecutive failures before a breaker opens
+const FAILURE_THRESHOLD =
+  parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10) || 3;
+
+// Time a breaker stays open before allowing a probe (ms)
+const COOLDOWN_MS =
+  parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// Breaker state per provider
+const breakers = {};
+
+/**
+ * Get (or lazily create) the breaker for a provider
+ * @param {string} provider - Provider name
+ * @returns {Object} Breaker state
+ */
+function getBreaker(provider) {
+  if (!breakers[provider]) {
+    breakers[provider] = {
+      state: "closed",
+      consecutiveFailures: 0,
+      openedAt: null,
+      probeStartedAt: null,
+      lastError: null,
+    };
+  }
+  return breakers[provider];
+}
+
+/**
+ * Check whether a request may be sent to a provider
+ * Moves an open breaker to half-open once its cooldown has elapsed and
+ * claims the single probe slot for the caller. A probe that never reports
+ * back (e.g. a cancelled request) releases its slot after another cooldown
+ * @param {string} provider - Provider name
+ * @returns {boolean} True if the provider may be attempted
+ */
+export function canAttemptProvider(provider) {
+  const breaker = getBreaker(provider);
+
+  if (breaker.state === "open") {
+    if (Date.now() - breaker.openedAt < COOLDOWN_MS) {
+      return false;
+    }
+    breaker.state = "half-open";
+    console.log(`[Circuit] ${provider} half-open, allowing probe request`);
+  }
+
+  if (breaker.state === "half-open") {
+    if (
+      breaker.probeStartedAt &&
+      Date.now() - breaker.probeStartedAt < COOLDOWN_MS
+    ) {
+      return false;
+    }
+    breaker.probeStartedAt = Date.now();
+  }
+
+  return true;
+}
+
+/**
+ * Record a successful request, closing the breaker
+ * @param {string} provider - Provider name
+ */
+export function recordProviderSuccess(provider) {
+  const breaker = getBreaker(provider);
+
+  if (breaker.state !== "closed") {
+    console.log(`[Circuit] ${provider} recovered, closing breaker`);
+  }
+
+  breaker.state = "closed";
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.probeStartedAt = null;
+}
+
+/**
+ * Check whether a failure says the provider itself is unhealthy
+ * @param {Error} error - Provider error
+ * @returns {boolean} True for retryable and server-side (5xx) failures
+ */
+function isProviderHealthFailure(error) {
+  const typedError = classifyProviderError(error);
+  return typedError.retryable || typedError.statusCode >= 500;
+}
+
+/**
+ * Record a failed request, opening the breaker when the threshold is reached
+ * or when a half-open probe fails. Client errors only release the probe slot
+ * @param {string} provider - Provider name
+ * @param {Error} error - Failure reason
+ */
+export function recordProviderFailure(provider, error) {
+  const breaker = getBreaker(provider);
+
+  if (!isProviderHealthFailure(error)) {
+    breaker.probeStartedAt = null;
+    return;
+  }
+
+  breaker.consecutiveFailures++;
+  breaker.lastError = error?.message || String(error);
+
+  if (
+    breaker.state === "half-open" ||
+    breaker.consecutiveFailures >= FAILURE_THRESHOLD
+  ) {
+    if (breaker.state !== "open") {
+      console.log(
+        `[Circuit] ${provider} opened after ${breaker.consecutiveFailures} consecutive failures`,
+      );
+    }
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+
+  breaker.probeStartedAt = null;
+}
+
+/**
+ * Get the state of every breaker for status reporting
+ * @returns {Object} Breaker summary keyed by provider
+ */
+export function getCircuitBreakerStatus() {
+  const status = {};
+
+  for (const [provider, breaker] of Object.entries(breakers)) {
+    status[provider] = {
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      lastError: breaker.lastError,
+      openedAt: breaker.openedAt
+        ? new Date(breaker.openedAt).toISOString()
+        : null,
+      retryAt:
+        breaker.state === "open"
+          ? new Date(breaker.openedAt + COOLDOWN_MS).toISOString()
+          : null,
+    };
+  }
+
+  return {
+    failureThreshold: FAILURE_THRESHOLD,
+    cooldownMs: COOLDOWN_MS,
+    providers: status,
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Conversation Sessions for NeuroLink Demo Server
+ *
+ * Stores multi-turn message history so /api/generate can send prior turns
+ * to the provider. History is saved to .conversations.json and trimmed to a
+ * token budget before each generation, dropping the oldest turns first.
+ */
+
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { NotFoundError, ValidationError } from "./errors.js";
+import { createFileWriter } from "./file-writer.js";
+import { estimateTokens } from "./model-catalog.js";
+
+// Conversation storage file path
+const CONVERSATIONS_FILE =
+  process.env.CONVERSATIONS_FILE ||
+  path.join(process.cwd(), ".conversations.json");
+
+// Tokens of prior history sent with each generation
+const HISTORY_TOKEN_BUDGET =
+  parseInt(process.env.CONVERSATION_TOKEN_BUDGET, 10) || 3000;
+
+// Roles accepted when appending messages
+const MESSAGE_ROLES = ["user", "assistant"];
+
+// Conversations keyed by id
+const conversations = loadConversations();
+const writeConversations = createFileWriter(CONVERSATIONS_FILE, () =>
+  JSON.stringify(conversations, null, 2),
+);
+
+/**
+ * Load saved conversations
+ * @returns {Object} Conversations keyed by id
+ */
+function loadConversations() {
+  try {
+    if (fs.existsSync(CONVERSATIONS_FILE)) {
+      return JSON.parse(fs.readFileSync(CONVERSATIONS_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.error(
+      `[Conversations] Failed to load ${CONVERSATIONS_FILE}:`,
+      error.message,
+    );
+  }
+  return {};
+}
+
+/**
+ * Write all conversations to disk
+ * @returns {Promise<void>}
+ */
+async function saveConversations() {
+  try {
+    await writeConversations();
+  } catch (error) {
+    console.error(
+      `[Conversations] Failed to save ${CONVERSATIONS_FILE}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Create a conversation
+ * @param {Object} [options] - Conversation options
+ * @param {string} [options.title] - Display title
+ * @param {string} [options.systemPrompt] - System prompt used for every turn
+ * @returns {Object} New conversation
+ */
+export function createConversation({ title, systemPrompt } = {}) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: randomUUID(),
+    title: title || "New conversation",
+    systemPrompt: systemPrompt || null,
+    messages: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  conversations[conversation.id] = conversation;
+  saveConversations();
+  return conversation;
+}
+
+/**
+ * List conversations without their messages, most recently updated first
+ * @returns {Object[]} Conversation summaries
+ */
+export function listConversations() {
+  return Object.values(conversations)
+    .map(({ messages, ...summary }) => ({
+      ...summary,
+      messageCount: messages.length,
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get a conversation with its full message history
+ * @param {string} id - Conversation id
+ * @returns {Object} Conversation
+ * @throws {NotFoundError} If the conversation does not exist
+ */
+export function getConversation(id) {
+  const conversation = conversations[id];
+  if (!conversation) {
+    throw new NotFoundError(`Conversation not found: ${id}`);
+  }
+  return conversation;
+}
+
+/**
+ * Append messages to a conversation
+ * @param {string} id - Conversation id
+ * @param {Object[]} messages - Messages with role, content and optional metadata
+ * @returns {Object[]} Stored messages
+ * @throws {ValidationError} If a message has an unknown role or no text content
+ */
+export function appendMessages(id, messages) {
+  const conversation = getConversation(id);
+
+  if (
+    !Array.isArray(messages) ||
+    messages.some(
+      (m) =>
+        !MESSAGE_ROLES.includes(m?.role) ||
+        typeof m.content !== "string" ||
+        !m.content.trim(),
+    )
+  ) {
+    throw new ValidationError(
+      "Each message needs a role (user or assistant) and text content",
+      { details: { availableRoles: MESSAGE_ROLES } },
+    );
+  }
+
+  const now = new Date().toISOString();
+  const stored = messages.map((message) => ({ ...message, createdAt: now }));
+  conversation.messages.push(...stored);
+  conversation.updatedAt = now;
+
+  // Title untitled conversations after their first question
+  if (conversation.title === "New conversation") {
+    const firstQuestion = conversation.messages.find((m) => m.role === "user");
+    if (firstQuestion) {
+      conversation.title = firstQuestion.content.slice(0, 60);
+    }
+  }
+
+  saveConversations();
+  return stored;
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id - Conversation id
+ * @throws {NotFoundError} If the conversation does not exist
+ */
+export function deleteConversation(id) {
+  getConversation(id);
+  delete conversations[id];
+  saveConversations();
+}
+
+/**
+ * Build a prompt containing as much recent history as fits the budget
+ * The newest turns are kept and older ones are dropped with a note so the
+ * model knows earlier context existed
+ * @param {Object} conversation - Conversation with prior messages
+ * @param {string} prompt - New user message
+ * @param {number} [tokenBudget] - Tokens available for prior history
+ * @returns {Object} Prompt text and how much history it includes
+ */
+export function buildConversationPrompt(
+  conversation,
+  prompt,
+  tokenBudget = HISTORY_TOKEN_BUDGET,
+) {
+  const included = [];
+  let historyTokens = 0;
+
+  for (let i = conversation.messages.length - 1; i >= 0; i--) {
+    const message = conversation.messages[i];
+    const tokens = estimateTokens(message.content);
+    if (historyTokens + tokens > tokenBudget) {
+      break;
+    }
+    included.unshift(message);
+    historyTokens += tokens;
+  }
+
+  const truncatedMessages = conversation.messages.length - included.length;
+  const context = {
+    includedMessages: included.length,
+    truncatedMessages,
+    historyTokens,
+  };
+
+  if (included.length === 0 && truncatedMessages === 0) {
+    return { prompt, context };
+  }
+
+  const lines = included.map(
+    (m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`,
+  );
+  if (truncatedMessages > 0) {
+    lines.unshift(`[${truncatedMessages} earlier messages omitted]`);
+  }
+
+  return {
+    prompt: `Conversation so far:
+
+${lines.join("\n\n")}
+
+User: ${prompt}
+
+Reply to the user's latest message, using the conversation above as context.`,
+    context,
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Typed Errors for NeuroLink Demo Server and Test Harness
+ *
+ * Every error carries an HTTP status and a stable `code` so API clients can
+ * branch on the code instead of parsing messages. Raw SDK errors are mapped
+ * onto these types with classifyProviderError().
+ */
+
+/**
+ * Base class for all typed demo errors
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} [options] - Error options
+   * @param {Object} [options.details] - Extra fields to include in error responses
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { details, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = "INTERNAL_ERROR";
+    this.statusCode = 500;
+    this.retryable = false;
+    this.details = details || {};
+  }
+}
+
+/** Request body failed validation (or the provider rejected the request) */
+export class ValidationError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "VALIDATION_ERROR";
+    this.statusCode = 400;
+  }
+}
+
+/** Requested resource or route does not exist */
+export class NotFoundError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "NOT_FOUND";
+    this.statusCode = 404;
+  }
+}
+
+/** Provider rejected our credentials */
+export class AuthError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "AUTH_ERROR";
+    this.statusCode = 401;
+  }
+}
+
+/** Provider rate limit or quota exceeded */
+export class RateLimitError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "RATE_LIMITED";
+    this.statusCode = 429;
+    this.retryable = true;
+  }
+}
+
+/** Provider does not know the requested model or endpoint */
+export class ModelNotFoundError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "MODEL_NOT_FOUND";
+    this.statusCode = 404;
+  }
+}
+
+/** Provider did not answer in time */
+export class TimeoutError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "TIMEOUT";
+    this.statusCode = 504;
+    this.retryable = true;
+  }
+}
+
+/** Provider could not be reached or returned a 5xx */
+export class ProviderUnavailableError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "PROVIDER_UNAVAILABLE";
+    this.statusCode = 503;
+    this.retryable = true;
+  }
+}
+
+/** Provider failed for a reason we do not recognize */
+export class ProviderError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "PROVIDER_ERROR";
+    this.statusCode = 502;
+  }
+}
+
+/** Every provider in the fallback chain failed or was skipped */
+export class AllProvidersFailedError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "ALL_PROVIDERS_FAILED";
+    this.statusCode = 502;
+  }
+}
+
+/** Model output still did not match the requested schema after repairs */
+export class SchemaValidationError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "SCHEMA_VALIDATION_FAILED";
+    this.statusCode = 502;
+  }
+}
+
+/** Tool call refused by the tool-call policy or by an approver */
+export class ToolCallDeniedError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "TOOL_CALL_DENIED";
+    this.statusCode = 403;
+  }
+}
+
+/** Client disconnected before the response was sent */
+export class RequestCancelledError extends AppError {
+  constructor(message, options) {
+    super(message, options);
+    this.code = "REQUEST_CANCELLED";
+    this.statusCode = 499;
+  }
+}
+
+/**
+ * Map a raw SDK or network error onto a typed error
+ * Errors that are already typed are returned unchanged
+ * @param {Error} error - Error thrown by a provider
+ * @returns {AppError} Typed error
+ */
+export function classifyProviderError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const lower = message.toLowerCase();
+  const status = error?.statusCode ?? error?.status;
+  const options = { cause: error };
+
+  if (
+    status === 401 ||
+    status === 403 ||
+    lower.includes("401") ||
+    lower.includes("unauthorized") ||
+    lower.includes("invalid api") ||
+    lower.includes("authentication") ||
+    lower.includes("api key") ||
+    lower.includes("not authorized")
+  ) {
+    return new AuthError(message, options);
+  }
+
+  if (
+    status === 429 ||
+    lower.includes("429") ||
+    lower.includes("rate limit") ||
+    lower.includes("too many requests") ||
+    lower.includes("quota")
+  ) {
+    return new RateLimitError(message, options);
+  }
+
+  if (status === 404 || lower.includes("404") || lower.includes("not found")) {
+    return new ModelNotFoundError(message, options);
+  }
+
+  if (
+    error?.name === "TimeoutError" ||
+    lower.includes("timeout") ||
+    lower.includes("timed out") ||
+    lower.includes("etimedout")
+  ) {
+    return new TimeoutError(message, options);
+  }
+
+  if (
+    status === 502 ||
+    status === 503 ||
+    status === 504 ||
+    lower.includes("econnrefused") ||
+    lower.includes("econnreset") ||
+    lower.includes("enotfound") ||
+    lower.includes("eai_again") ||
+    lower.includes("socket hang up") ||
+    lower.includes("fetch failed") ||
+    lower.includes("network") ||
+    lower.includes("connection") ||
+    lower.includes("service unavailable")
+  ) {
+    return new ProviderUnavailableError(message, options);
+  }
+
+  if (
+    status === 400 ||
+    lower.includes("bad request") ||
+    lower.includes("invalid request")
+  ) {
+    return new ValidationError(message, options);
+  }
+
+  return new ProviderError(message, options);
+}
@@ -0,0 +1,54 @@
+/**
+ * Serialized File Writes for NeuroLink Demo Server
+ *
+ * Stores that persist on every change (conversations, schemas, the cost
+ * ledger, the response cache, status history) can be saved again before the
+ * previous write has finished. Overlapping writeFile calls on one path can
+ * interleave and leave a truncated file, so each store gets a writer that
+ * keeps one write in flight, folds calls made meanwhile into a single
+ * follow-up write, and replaces the file with a rename.
+ */
+
+import fs from "fs";
+
+/**
+ * Create a serialized writer for one file
+ * @param {string} filePath - File to write
+ * @param {Function} getContent - Returns the current content; called when a write starts
+ * @returns {Function} Async write function; callers that overlap share the follow-up write
+ */
+export function createFileWriter(filePath, getContent) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  let inFlight = null;
+  let queued = null;
+
+  async function writeNow() {
+    await fs.promises.writeFile(tempPath, getContent());
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  function start() {
+    inFlight = writeNow().finally(() => {
+      inFlight = null;
+    });
+    return inFlight;
+  }
+
+  return function write() {
+    if (queued) {
+      return queued;
+    }
+    if (!inFlight) {
+      return start();
+    }
+
+    // The content is read when the follow-up starts, so it has every change
+    queued = inFlight
+      .catch(() => {})
+      .then(() => {
+        queued = null;
+        return start();
+      });
+    return queued;
+  };
+}
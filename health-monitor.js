@@ -0,0 +1,134 @@
+/**
+ * Provider Health Monitor for NeuroLink Demo Server
+ *
+ * Checks every provider in parallel on a background interval and caches
+ * the results, so GET /api/status can answer from memory instead of
+ * calling nine providers on every dashboard refresh. Every result is also
+ * added to the status history time series.
+ */
+
+import { recordStatusSample, saveStatusHistory } from "./status-history.js";
+
+// Time between background health checks (ms); 0 disables the interval
+const HEALTH_CHECK_INTERVAL_MS = parseInt(
+  process.env.HEALTH_CHECK_INTERVAL_MS ?? "60000",
+  10,
+);
+
+// Providers being monitored and the function that checks one of them
+let monitoredProviders = [];
+let checkProvider = null;
+
+// Latest result per provider
+const providerHealth = {};
+
+let lastCheckedAt = null;
+let refreshInFlight = null;
+let timer = null;
+
+/**
+ * Check one provider, recording when the check ran and how long it took
+ * @param {string} provider - Provider name
+ * @returns {Promise<Object>} Cached status entry
+ */
+async function checkOne(provider) {
+  const checkStart = Date.now();
+  let result;
+
+  try {
+    result = await checkProvider(provider);
+  } catch (error) {
+    result = {
+      available: false,
+      configured: false,
+      authenticated: false,
+      error: error.message || String(error),
+    };
+  }
+
+  providerHealth[provider] = {
+    ...result,
+    latencyMs: Date.now() - checkStart,
+    checkedAt: new Date().toISOString(),
+  };
+  recordStatusSample(provider, providerHealth[provider]);
+  return providerHealth[provider];
+}
+
+/**
+ * Check every monitored provider in parallel and update the cache
+ * Concurrent callers share the refresh that is already running
+ * @returns {Promise<Object>} Cached status for all providers
+ */
+export function refreshProviderHealth() {
+  if (!checkProvider) {
+    throw new Error("Health monitor has not been started");
+  }
+
+  if (!refreshInFlight) {
+    const refreshStart = Date.now();
+    refreshInFlight = Promise.all(monitoredProviders.map(checkOne))
+      .then(() => {
+        lastCheckedAt = new Date().toISOString();
+        saveStatusHistory();
+        console.log(
+          `[Health] Checked ${monitoredProviders.length} providers in ${Date.now() - refreshStart}ms`,
+        );
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+
+  return refreshInFlight.then(getProviderHealth);
+}
+
+/**
+ * Start checking providers in the background
+ * @param {string[]} providers - Providers to monitor
+ * @param {Function} check - Async function returning a provider's status
+ */
+export function startHealthMonitor(providers, check) {
+  monitoredProviders = providers;
+  checkProvider = check;
+
+  refreshProviderHealth().catch((error) =>
+    console.error("[Health] Initial check failed:", error.message),
+  );
+
+  if (HEALTH_CHECK_INTERVAL_MS > 0 && !timer) {
+    timer = setInterval(() => {
+      refreshProviderHealth().catch((error) =>
+        console.error("[Health] Scheduled check failed:", error.message),
+      );
+    }, HEALTH_CHECK_INTERVAL_MS);
+    // Do not keep the process alive just for health checks
+    timer.unref();
+  }
+}
+
+/**
+ * Stop the background interval
+ */
+export function stopHealthMonitor() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Get the cached health of every provider
+ * @returns {Object} Check metadata and status keyed by provider
+ */
+export function getProviderHealth() {
+  return {
+    checkedAt: lastCheckedAt,
+    intervalMs: HEALTH_CHECK_INTERVAL_MS,
+    refreshing: refreshInFlight !== null,
+    // Report providers in monitoring order rather than completion order
+    providers: Object.fromEntries(
+      monitoredProviders
+        .filter((provider) => providerHealth[provider])
+        .map((provider) => [provider, providerHealth[provider]]),
+    ),
+  };
+}
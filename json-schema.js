@@ -0,0 +1,236 @@
+/**
+ * JSON Schema Validator for NeuroLink Demo Server
+ *
+ * A small local validator for the JSON Schema keywords used by structured
+ * output and tool arguments, so model output can be checked without an
+ * extra dependency. $ref and format are not supported.
+ */
+
+/**
+ * Describe a value's JSON type for error messages
+ * @param {*} value - Any JSON value
+ * @returns {string} JSON type name
+ */
+function jsonType(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Check that a value has a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Compare two JSON values structurally
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Test a string against a pattern keyword
+ * @param {string} pattern - Regular expression source
+ * @param {string} value - String to test
+ * @returns {boolean|null} Whether it matches, or null if the pattern does not compile
+ */
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(pattern).test(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect validation errors for a value
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} at - JSON path of the value
+ * @param {Object[]} errors - Errors found so far
+ */
+function collectErrors(schema, value, at, errors) {
+  const fail = (message) => errors.push({ path: at, message });
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(" or ")}, got ${jsonType(value)}`);
+      return; // Further keywords would only repeat the type error
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => isEqual(option, value))) {
+    fail(
+      `must be one of: ${schema.enum.map((o) => JSON.stringify(o)).join(", ")}`,
+    );
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail(`must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+    if (
+      schema.multipleOf !== undefined &&
+      !Number.isInteger(value / schema.multipleOf)
+    ) {
+      fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern) {
+      // Schemas from MCP servers are not checked up front, so a bad
+      // pattern fails the value instead of throwing
+      const matched = matchesPattern(schema.pattern, value);
+      if (matched === null) {
+        fail(`cannot be checked, invalid pattern ${schema.pattern}`);
+      } else if (!matched) {
+        fail(`must match ${schema.pattern}`);
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (
+      schema.uniqueItems &&
+      new Set(value.map((item) => JSON.stringify(item))).size < value.length
+    ) {
+      fail("must not contain duplicate items");
+    }
+    if (schema.items && typeof schema.items === "object") {
+      value.forEach((item, index) =>
+        collectErrors(schema.items, item, `${at}[${index}]`, errors),
+      );
+    }
+  }
+
+  if (matchesType(value, "object")) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${at}.${key}`, message: "is required" });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) {
+        collectErrors(properties[key], propertyValue, `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}.${key}`, message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        collectErrors(
+          schema.additionalProperties,
+          propertyValue,
+          `${at}.${key}`,
+          errors,
+        );
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach((subschema) =>
+      collectErrors(subschema, value, at, errors),
+    );
+  }
+  if (schema.anyOf) {
+    const matches = schema.anyOf.filter(
+      (subschema) => validateJSONSchema(subschema, value, at).length === 0,
+    );
+    if (matches.length === 0) {
+      fail("must match at least one schema in anyOf");
+    }
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (subschema) => validateJSONSchema(subschema, value, at).length === 0,
+    );
+    if (matches.length !== 1) {
+      fail(`must match exactly one schema in oneOf, matched ${matches.length}`);
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} [at] - JSON path of the value, "$" for the root
+ * @returns {Object[]} Errors with path and message, empty if valid
+ */
+export function validateJSONSchema(schema, value, at = "$") {
+  const errors = [];
+  collectErrors(schema, value, at, errors);
+  return errors;
+}
+
+/**
+ * Format validation errors as one line each
+ * @param {Object[]} errors - Errors from validateJSONSchema
+ * @returns {string} Readable error list
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map((error) => `${error.path} ${error.message}`).join("\n");
+}
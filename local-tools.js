@@ -0,0 +1,258 @@
+/**
+ * Local Tool Registry for NeuroLink Demo Server
+ *
+ * In-process tools offered to the model alongside MCP server tools, so tool
+ * calling works without any external MCP server. Each tool declares a JSON
+ * Schema for its arguments, which is checked before the tool runs.
+ */
+
+import { ValidationError, NotFoundError } from "./errors.js";
+import { validateJSONSchema, formatSchemaErrors } from "./json-schema.js";
+
+// Registered tools keyed by name
+const localTools = new Map();
+
+/**
+ * Register a local tool
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Unique tool name
+ * @param {string} tool.description - What the tool does, shown to the model
+ * @param {Object} tool.inputSchema - JSON Schema for the arguments object
+ * @param {Function} tool.execute - Async (args, context) => result
+ */
+export function registerLocalTool({ name, description, inputSchema, execute }) {
+  if (localTools.has(name)) {
+    throw new Error(`Local tool already registered: ${name}`);
+  }
+  localTools.set(name, { name, description, inputSchema, execute });
+}
+
+/**
+ * List registered tools without their implementations
+ * @returns {Object[]} Tools with name, description and inputSchema
+ */
+export function getLocalTools() {
+  return [...localTools.values()].map(({ execute, ...tool }) => tool);
+}
+
+/**
+ * Run a local tool after validating its arguments
+ * @param {string} name - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @param {Object} [context] - Request context passed to the tool
+ * @returns {Promise<*>} Tool result
+ * @throws {NotFoundError} If no tool has the name
+ * @throws {ValidationError} If the arguments do not match the schema
+ */
+export async function executeLocalTool(name, args = {}, context = {}) {
+  const tool = localTools.get(name);
+  if (!tool) {
+    throw new NotFoundError(`Local tool not found: ${name}`);
+  }
+
+  const errors = validateJSONSchema(tool.inputSchema, args);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      `Invalid arguments for ${name}: ${formatSchemaErrors(errors).replace(/\n/g, "; ")}`,
+      { details: { errors } },
+    );
+  }
+
+  return tool.execute(args, context);
+}
+
+// ================================
+// CALCULATOR
+// ================================
+
+// Functions and constants available in calculator expressions
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+  log: Math.log,
+  log10: Math.log10,
+  exp: Math.exp,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+};
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E };
+
+/**
+ * Evaluate an arithmetic expression without eval()
+ * Supports + - * / % ^, parentheses, unary minus, MATH_FUNCTIONS and
+ * MATH_CONSTANTS
+ * @param {string} expression - Expression such as "2 * (3 + 4) ^ 2"
+ * @returns {number} Result
+ * @throws {ValidationError} If the expression cannot be parsed
+ */
+export function evaluateExpression(expression) {
+  const tokens = expression.match(/\d*\.?\d+(?:e[+-]?\d+)?|[a-z_]\w*|\S/gi);
+  let position = 0;
+
+  const fail = (message) => {
+    throw new ValidationError(`Invalid expression: ${message}`);
+  };
+  const peek = () => tokens?.[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      fail(`expected "${token}"`);
+    }
+  };
+
+  // expression := term (("+" | "-") term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === "+" || peek() === "-") {
+      value = next() === "+" ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  // term := unary (("*" | "/" | "%") unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (["*", "/", "%"].includes(peek())) {
+      const operator = next();
+      const right = parseUnary();
+      value =
+        operator === "*"
+          ? value * right
+          : operator === "/"
+            ? value / right
+            : value % right;
+    }
+    return value;
+  };
+
+  // unary := "-" unary | power
+  // Binds looser than "^", so -2 ^ 2 is -4
+  const parseUnary = () =>
+    peek() === "-" ? (next(), -parseUnary()) : parsePower();
+
+  // power := primary ("^" unary)?
+  const parsePower = () => {
+    const base = parsePrimary();
+    return peek() === "^" ? (next(), base ** parseUnary()) : base;
+  };
+
+  // primary := number | constant | function "(" args ")" | "(" expression ")"
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) {
+      fail("unexpected end");
+    }
+    if (token === "(") {
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+    if (/^\d|^\./.test(token)) {
+      return Number(token);
+    }
+
+    const name = token.toLowerCase();
+    if (Object.hasOwn(MATH_CONSTANTS, name)) {
+      return MATH_CONSTANTS[name];
+    }
+    if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+      expect("(");
+      const args = [parseExpression()];
+      while (peek() === ",") {
+        next();
+        args.push(parseExpression());
+      }
+      expect(")");
+      return MATH_FUNCTIONS[name](...args);
+    }
+    return fail(`unknown token "${token}"`);
+  };
+
+  if (!tokens) {
+    fail("expression is empty");
+  }
+  const result = parseExpression();
+  if (position < tokens.length) {
+    fail(`unexpected "${peek()}"`);
+  }
+  if (!Number.isFinite(result)) {
+    fail("result is not a finite number");
+  }
+  return result;
+}
+
+// ================================
+// BUILT-IN TOOLS
+// ================================
+
+registerLocalTool({
+  name: "get-current-time",
+  description: "Get the current date and time, optionally in a time zone",
+  inputSchema: {
+    type: "object",
+    properties: {
+      timezone: {
+        type: "string",
+        description: "IANA time zone such as Europe/Berlin (default UTC)",
+      },
+    },
+  },
+  execute: async ({ timezone = "UTC" }) => {
+    const now = new Date();
+    let formatted;
+    try {
+      formatted = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        dateStyle: "full",
+        timeStyle: "long",
+      }).format(now);
+    } catch {
+      throw new ValidationError(`Unknown time zone: ${timezone}`);
+    }
+    return {
+      iso: now.toISOString(),
+      unix: Math.floor(now.getTime() / 1000),
+      timezone,
+      formatted,
+    };
+  },
+});
+
+registerLocalTool({
+  name: "calculator",
+  description:
+    "Evaluate an arithmetic expression with + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, min, max, pow, log, log10, exp, sin, cos, tan, pi and e",
+  inputSchema: {
+    type: "object",
+    properties: {
+      expression: {
+        type: "string",
+        description: "Expression to evaluate, e.g. (17 * 3) / 4",
+      },
+    },
+    required: ["expression"],
+  },
+  execute: async ({ expression }) => ({
+    expression,
+    result: evaluateExpression(expression),
+  }),
+});
+
+registerLocalTool({
+  name: "list-tools",
+  description: "List every tool available in this conversation",
+  inputSchema: { type: "object", properties: {} },
+  execute: async (args, { tools = [] }) =>
+    tools.map((tool) => ({
+      name: tool.name,
+      source: tool.source,
+      description: tool.description,
+    })),
+});
@@ -0,0 +1,263 @@
+/**
+ * MCP Client for NeuroLink Demo Server
+ *
+ * Speaks the Model Context Protocol to the servers configured in
+ * .mcp-config.json over stdio (newline-delimited JSON-RPC), so their tools
+ * can be listed and called while generating. Server processes are started
+ * on first use and kept open for later requests. A server that fails to
+ * start is not tried again until a backoff delay has passed.
+ */
+
+import { spawn } from "child_process";
+import { loadMCPConfig } from "./mcp-helpers.js";
+import { NotFoundError, TimeoutError, ProviderError } from "./errors.js";
+
+// Protocol version sent during the initialize handshake
+const MCP_PROTOCOL_VERSION = "2024-11-05";
+
+// Time allowed for a single JSON-RPC request (ms)
+const MCP_REQUEST_TIMEOUT_MS =
+  parseInt(process.env.MCP_REQUEST_TIMEOUT_MS, 10) || 30000;
+
+// Wait after a failed start before trying the server again (ms), doubled per failure
+const MCP_RESTART_BACKOFF_MS =
+  parseInt(process.env.MCP_RESTART_BACKOFF_MS, 10) || 30000;
+
+// Longest wait between start attempts (ms)
+const MCP_RESTART_MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+// Open sessions keyed by server name
+const sessions = new Map();
+
+// Recent start failures keyed by server name
+const startFailures = new Map();
+
+// Running server processes, killed on shutdown
+const serverProcesses = new Set();
+
+/**
+ * Start a server process and complete the initialize handshake
+ * @param {string} serverName - Server name from .mcp-config.json
+ * @param {Object} serverConfig - Server command, args, env and cwd
+ * @returns {Promise<Object>} Session with request() and cached tools
+ */
+async function openSession(serverName, serverConfig) {
+  const child = spawn(serverConfig.command, serverConfig.args || [], {
+    stdio: ["pipe", "pipe", "pipe"],
+    env: { ...process.env, ...serverConfig.env },
+    cwd: serverConfig.cwd,
+  });
+  serverProcesses.add(child);
+
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = "";
+
+  const failPending = (error) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+    sessions.delete(serverName);
+  };
+
+  child.stdout.setEncoding("utf8");
+  child.stdout.on("data", (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines.filter((l) => l.trim())) {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue; // Servers sometimes log plain text to stdout
+      }
+
+      const request = pending.get(message.id);
+      if (!request) {
+        continue; // Notifications and server-initiated requests
+      }
+      pending.delete(message.id);
+      clearTimeout(request.timer);
+
+      if (message.error) {
+        request.reject(
+          new ProviderError(
+            `MCP server '${serverName}': ${message.error.message}`,
+            { details: { server: serverName, mcpError: message.error } },
+          ),
+        );
+      } else {
+        request.resolve(message.result);
+      }
+    }
+  });
+
+  // Drain stderr so a chatty server cannot block on a full pipe
+  child.stderr.resume();
+  // Writes to a server that has exited are reported through the exit handler
+  child.stdin.on("error", () => {});
+
+  child.on("error", (error) =>
+    failPending(
+      new ProviderError(
+        `MCP server '${serverName}' failed to start: ${error.message}`,
+        { cause: error },
+      ),
+    ),
+  );
+  child.on("exit", (code) => {
+    serverProcesses.delete(child);
+    failPending(
+      new ProviderError(`MCP server '${serverName}' exited with code ${code}`),
+    );
+  });
+
+  const send = (message) => child.stdin.write(`${JSON.stringify(message)}\n`);
+
+  const request = (method, params = {}) =>
+    new Promise((resolve, reject) => {
+      const id = nextId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(
+          new TimeoutError(
+            `MCP server '${serverName}' did not answer ${method} within ${MCP_REQUEST_TIMEOUT_MS}ms`,
+          ),
+        );
+      }, MCP_REQUEST_TIMEOUT_MS);
+
+      pending.set(id, { resolve, reject, timer });
+      send({ jsonrpc: "2.0", id, method, params });
+    });
+
+  const session = { request, tools: null };
+
+  try {
+    await request("initialize", {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: "neurolink-demo", version: "1.0.0" },
+    });
+  } catch (error) {
+    child.kill();
+    throw error;
+  }
+  send({ jsonrpc: "2.0", method: "notifications/initialized" });
+
+  console.log(`[MCP] Connected to ${serverName}`);
+  return session;
+}
+
+/**
+ * Remember a failed start and when the server may be tried again
+ * @param {string} serverName - Server name from .mcp-config.json
+ * @param {Error} error - Start failure
+ */
+function recordStartFailure(serverName, error) {
+  const failures = (startFailures.get(serverName)?.failures || 0) + 1;
+  const backoffMs = Math.min(
+    MCP_RESTART_BACKOFF_MS * 2 ** (failures - 1),
+    MCP_RESTART_MAX_BACKOFF_MS,
+  );
+  startFailures.set(serverName, {
+    failures,
+    error: error.message,
+    retryAt: Date.now() + backoffMs,
+  });
+  console.log(
+    `[MCP] ${serverName} failed to start, not retrying for ${backoffMs}ms: ${error.message}`,
+  );
+}
+
+/**
+ * Get the open session for a server, starting it if needed
+ * @param {string} serverName - Server name from .mcp-config.json
+ * @returns {Promise<Object>} Session
+ * @throws {NotFoundError} If the server is not configured
+ * @throws {ProviderError} If the server does not use stdio transport or
+ *   failed to start within the backoff delay
+ */
+function getSession(serverName) {
+  const failure = startFailures.get(serverName);
+  if (!sessions.has(serverName) && failure && Date.now() < failure.retryAt) {
+    const retryAt = new Date(failure.retryAt).toISOString();
+    throw new ProviderError(
+      `${failure.error} (next start attempt after ${retryAt})`,
+      { details: { server: serverName, retryAt } },
+    );
+  }
+
+  if (!sessions.has(serverName)) {
+    const serverConfig = loadMCPConfig().mcpServers[serverName];
+    if (!serverConfig) {
+      throw new NotFoundError(`MCP server '${serverName}' not found`);
+    }
+    if ((serverConfig.transport || "stdio") !== "stdio") {
+      throw new ProviderError(
+        `MCP server '${serverName}' uses ${serverConfig.transport} transport; only stdio servers can be called`,
+      );
+    }
+
+    const opening = openSession(serverName, serverConfig);
+    // Forget failed starts so a request after the backoff tries again
+    opening.then(
+      () => startFailures.delete(serverName),
+      (error) => {
+        sessions.delete(serverName);
+        recordStartFailure(serverName, error);
+      },
+    );
+    sessions.set(serverName, opening);
+  }
+  return sessions.get(serverName);
+}
+
+/**
+ * List the tools a server exposes
+ * @param {string} serverName - Server name from .mcp-config.json
+ * @returns {Promise<Object[]>} Tools with name, description and inputSchema
+ */
+export async function listServerTools(serverName) {
+  const session = await getSession(serverName);
+  if (!session.tools) {
+    const { tools = [] } = await session.request("tools/list");
+    session.tools = tools;
+  }
+  return session.tools;
+}
+
+/**
+ * Call a tool on a server
+ * @param {string} serverName - Server name from .mcp-config.json
+ * @param {string} toolName - Tool name
+ * @param {Object} [args] - Tool arguments
+ * @returns {Promise<Object>} Tool result with text content and isError flag
+ */
+export async function callServerTool(serverName, toolName, args = {}) {
+  const session = await getSession(serverName);
+  const result = await session.request("tools/call", {
+    name: toolName,
+    arguments: args,
+  });
+
+  return {
+    isError: !!result.isError,
+    content: (result.content || [])
+      .map((part) => (part.type === "text" ? part.text : `[${part.type}]`))
+      .join("\n"),
+  };
+}
+
+/**
+ * Close every open server process
+ */
+export function closeAllSessions() {
+  sessions.clear();
+  for (const child of serverProcesses) {
+    child.kill();
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Model Catalog for NeuroLink Demo Server
+ *
+ * Lists the known models for each provider with context window, list
+ * pricing and capability flags. Used to validate per-request model
+ * selection and exposed through GET /api/models.
+ */
+
+import { ModelNotFoundError, ValidationError } from "./errors.js";
+
+// Capability flags a model can advertise
+export const MODEL_CAPABILITIES = ["json", "tools", "vision", "streaming"];
+
+/**
+ * Shorthand for a catalog entry
+ * Pricing is approximate list price in USD per 1M tokens
+ */
+function model(id, contextWindow, [input, output], capabilities) {
+  return {
+    id,
+    contextWindow,
+    pricing: { inputPerMillion: input, outputPerMillion: output },
+    capabilities: Object.fromEntries(
+      MODEL_CAPABILITIES.map((cap) => [cap, capabilities.includes(cap)]),
+    ),
+  };
+}
+
+const ALL_CAPS = ["json", "tools", "vision", "streaming"];
+const TEXT_CAPS = ["json", "tools", "streaming"];
+
+// Known models per provider; the first entry is the provider default
+const MODEL_CATALOG = {
+  "google-ai": [
+    model("gemini-2.5-pro", 1048576, [1.25, 10], ALL_CAPS),
+    model("gemini-2.5-flash", 1048576, [0.3, 2.5], ALL_CAPS),
+    model("gemini-1.5-pro", 2097152, [1.25, 5], ALL_CAPS),
+  ],
+  anthropic: [
+    model("claude-3-5-sonnet-20241022", 200000, [3, 15], ALL_CAPS),
+    model("claude-3-5-haiku-20241022", 200000, [0.8, 4], TEXT_CAPS),
+    model("claude-3-opus-20240229", 200000, [15, 75], ALL_CAPS),
+  ],
+  openai: [
+    model("gpt-4o", 128000, [2.5, 10], ALL_CAPS),
+    model("gpt-4o-mini", 128000, [0.15, 0.6], ALL_CAPS),
+    model("gpt-4-turbo", 128000, [10, 30], ALL_CAPS),
+    model("gpt-4", 8192, [30, 60], ["tools", "streaming"]),
+    model("gpt-3.5-turbo", 16385, [0.5, 1.5], TEXT_CAPS),
+  ],
+  mistral: [
+    model("mistral-small", 32000, [0.2, 0.6], TEXT_CAPS),
+    model("mistral-large-latest", 128000, [2, 6], TEXT_CAPS),
+    model("open-mistral-nemo", 128000, [0.15, 0.15], TEXT_CAPS),
+  ],
+  vertex: [
+    model("gemini-2.5-pro", 1048576, [1.25, 10], ALL_CAPS),
+    model("gemini-2.5-flash", 1048576, [0.3, 2.5], ALL_CAPS),
+  ],
+  azure: [
+    model("gpt-4o", 128000, [2.5, 10], ALL_CAPS),
+    model("gpt-4o-mini", 128000, [0.15, 0.6], ALL_CAPS),
+  ],
+  huggingface: [
+    model("microsoft/DialoGPT-medium", 1024, [0, 0], []),
+    model("mistralai/Mistral-7B-Instruct-v0.3", 32768, [0, 0], ["streaming"]),
+  ],
+  bedrock: [
+    model(
+      "arn:aws:bedrock:us-east-2:225681119357:inference-profile/us.anthropic.claude-3-7-sonnet-20250219-v1:0",
+      200000,
+      [3, 15],
+      ALL_CAPS,
+    ),
+    model("anthropic.claude-3-sonnet-20240229-v1:0", 200000, [3, 15], ALL_CAPS),
+    model(
+      "anthropic.claude-3-haiku-20240307-v1:0",
+      200000,
+      [0.25, 1.25],
+      ALL_CAPS,
+    ),
+  ],
+  ollama: [model("llama3.2:latest", 131072, [0, 0], TEXT_CAPS)],
+};
+
+// Models discovered at runtime (e.g. installed Ollama models), keyed by provider
+const discoveredModels = {};
+
+// Metadata for models the catalog knows nothing about
+const UNKNOWN_METADATA = {
+  contextWindow: null,
+  pricing: null,
+  capabilities: null,
+};
+
+// Default model mappings for each provider (first catalog entry)
+export const DEFAULT_MODELS = Object.fromEntries(
+  Object.entries(MODEL_CATALOG).map(([provider, models]) => [
+    provider,
+    models[0].id,
+  ]),
+);
+
+/**
+ * Get the environment variable that overrides a provider's model
+ * @param {string} provider - Provider name
+ * @returns {string} Variable name, e.g. GOOGLE_AI_MODEL
+ */
+export function getModelEnvVar(provider) {
+  return `${provider.toUpperCase().replace(/-/g, "_")}_MODEL`;
+}
+
+/**
+ * Replace the models discovered for a provider
+ * Once set, the provider's model list is what was discovered rather than
+ * the static catalog; pass null to go back to the static catalog
+ * @param {string} provider - Provider name
+ * @param {Object[]|null} models - Entries with at least an id
+ */
+export function setDiscoveredModels(provider, models) {
+  discoveredModels[provider] = models;
+}
+
+/**
+ * Get the models discovered for a provider
+ * @param {string} provider - Provider name
+ * @returns {Object[]|null} Discovered entries, or null if discovery has not succeeded
+ */
+export function getDiscoveredModels(provider) {
+  return discoveredModels[provider] || null;
+}
+
+/**
+ * Get the known models for a provider
+ * Discovered models take the place of the static list, keeping catalog
+ * metadata where the model is known. A model configured through
+ * <PROVIDER>_MODEL that is not listed is included with unknown metadata so
+ * it can still be selected
+ * @param {string} provider - Provider name
+ * @returns {Object[]} Catalog entries
+ */
+export function getProviderModels(provider) {
+  const known = MODEL_CATALOG[provider] || [];
+  const discovered = discoveredModels[provider];
+  const models = discovered
+    ? discovered.map((found) => ({
+        id: found.id,
+        ...(known.find((m) => m.id === found.id) || UNKNOWN_METADATA),
+        ...found,
+      }))
+    : [...known];
+  const configured = process.env[getModelEnvVar(provider)];
+
+  if (configured && !models.some((m) => m.id === configured)) {
+    models.unshift({ id: configured, ...UNKNOWN_METADATA, source: "env" });
+  }
+
+  return models;
+}
+
+/**
+ * Look up a model in a provider's catalog
+ * @param {string} provider - Provider name
+ * @param {string} modelId - Model identifier
+ * @returns {Object|null} Catalog entry, or null if unknown
+ */
+export function findModel(provider, modelId) {
+  return getProviderModels(provider).find((m) => m.id === modelId) || null;
+}
+
+/**
+ * Find which providers offer a model
+ * @param {string} modelId - Model identifier
+ * @returns {string[]} Provider names
+ */
+export function findProvidersForModel(modelId) {
+  return Object.keys(MODEL_CATALOG).filter((provider) =>
+    findModel(provider, modelId),
+  );
+}
+
+/**
+ * Check whether a catalog entry advertises every required capability
+ * Models with unknown metadata are assumed capable
+ * @param {Object} entry - Catalog entry
+ * @param {string[]} capabilities - Required capability flags
+ * @returns {string[]} Capabilities the model is missing
+ */
+export function getMissingCapabilities(entry, capabilities = []) {
+  if (!entry?.capabilities) {
+    return [];
+  }
+  return capabilities.filter((cap) => !entry.capabilities[cap]);
+}
+
+/**
+ * Roughly estimate the token count of some text (about 4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text = "") {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Explain why a model cannot serve a request, if it cannot
+ * Models with unknown metadata are assumed to meet every requirement
+ * @param {Object} entry - Catalog entry
+ * @param {Object} requirements - Request requirements
+ * @param {string[]} [requirements.capabilities] - Required capability flags
+ * @param {number} [requirements.contextTokens] - Estimated prompt plus output tokens
+ * @returns {Object|null} { reason, missingCapabilities }, or null if the model fits
+ */
+export function getUnmetRequirements(
+  entry,
+  { capabilities = [], contextTokens = 0 } = {},
+) {
+  const missing = getMissingCapabilities(entry, capabilities);
+  if (missing.length > 0) {
+    return {
+      reason: `Model ${entry.id} does not support: ${missing.join(", ")}`,
+      missingCapabilities: missing,
+    };
+  }
+
+  if (entry?.contextWindow && contextTokens > entry.contextWindow) {
+    return {
+      reason: `Request needs about ${contextTokens} tokens, model ${entry.id} has a ${entry.contextWindow} token context window`,
+      missingCapabilities: ["context"],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a per-request model selection
+ * @param {string} provider - Provider name
+ * @param {string} modelId - Requested model
+ * @param {Object} [requirements] - Capabilities and context the request needs
+ * @returns {Object} Catalog entry for the model
+ * @throws {ModelNotFoundError} If the provider does not offer the model
+ * @throws {ValidationError} If the model cannot serve the request
+ */
+export function validateModelSelection(provider, modelId, requirements) {
+  const entry = findModel(provider, modelId);
+
+  if (!entry) {
+    throw new ModelNotFoundError(`Unknown model for ${provider}: ${modelId}`, {
+      details: {
+        availableModels: getProviderModels(provider).map((m) => m.id),
+      },
+    });
+  }
+
+  const unmet = getUnmetRequirements(entry, requirements);
+  if (unmet) {
+    throw new ValidationError(unmet.reason, {
+      details: { missingCapabilities: unmet.missingCapabilities },
+    });
+  }
+
+  return entry;
+}
+
+/**
+ * Get the full catalog keyed by provider
+ * @returns {Object} Catalog entries per provider
+ */
+export function getModelCatalog() {
+  return Object.fromEntries(
+    Object.keys(MODEL_CATALOG).map((provider) => [
+      provider,
+      getProviderModels(provider),
+    ]),
+  );
+}
@@ -0,0 +1,134 @@
+/**
+ * Ollama Model Management for NeuroLink Demo Server
+ *
+ * Discovers the models installed on the local Ollama server and pulls or
+ * deletes models through the Ollama REST API, so offline setups can switch
+ * models without editing environment files.
+ */
+
+import { ProviderUnavailableError, classifyProviderError } from "./errors.js";
+
+// Ollama server address
+export const OLLAMA_BASE_URL = (
+  process.env.OLLAMA_BASE_URL || "http://localhost:11434"
+).replace(/\/$/, "");
+
+// Timeout for listing and deleting models (ms)
+const OLLAMA_REQUEST_TIMEOUT_MS = 2000;
+
+/**
+ * Call the Ollama API, turning HTTP failures into typed errors
+ * @param {string} endpoint - API path, e.g. /api/tags
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} Successful response
+ */
+async function ollamaFetch(endpoint, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${OLLAMA_BASE_URL}${endpoint}`, {
+      signal: AbortSignal.timeout(OLLAMA_REQUEST_TIMEOUT_MS),
+      ...options,
+    });
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw options.signal.reason;
+    }
+    throw new ProviderUnavailableError(
+      `Ollama is not reachable at ${OLLAMA_BASE_URL}: ${error.message}`,
+      { cause: error },
+    );
+  }
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw classifyProviderError(
+      Object.assign(
+        new Error(body.error || `${response.status} ${response.statusText}`),
+        { statusCode: response.status },
+      ),
+    );
+  }
+
+  return response;
+}
+
+/**
+ * List the models installed on the Ollama server
+ * @returns {Promise<Object[]>} Catalog-style entries for each installed model
+ */
+export async function listOllamaModels() {
+  const response = await ollamaFetch("/api/tags");
+  const { models = [] } = await response.json();
+
+  return models.map((model) => ({
+    id: model.name,
+    pricing: { inputPerMillion: 0, outputPerMillion: 0 },
+    source: "ollama",
+    details: {
+      family: model.details?.family || null,
+      parameterSize: model.details?.parameter_size || null,
+      quantization: model.details?.quantization_level || null,
+      sizeBytes: model.size ?? null,
+      modifiedAt: model.modified_at || null,
+    },
+  }));
+}
+
+/**
+ * Pull a model, reporting download progress as it streams in
+ * @param {string} model - Model name, e.g. llama3.2:latest
+ * @param {Object} [options] - Pull options
+ * @param {Function} [options.onProgress] - Called with each progress update
+ * @param {AbortSignal} [options.abortSignal] - Cancels the download
+ * @returns {Promise<void>} Resolves once the pull succeeds
+ */
+export async function pullOllamaModel(model, { onProgress, abortSignal } = {}) {
+  // Downloads can take minutes, so only the caller's signal limits them
+  const response = await ollamaFetch("/api/pull", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model, stream: true }),
+    signal: abortSignal || null,
+  });
+
+  // Ollama streams newline-delimited JSON status objects
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines.filter((l) => l.trim())) {
+      const update = JSON.parse(line);
+      if (update.error) {
+        throw classifyProviderError(new Error(update.error));
+      }
+
+      onProgress?.({
+        status: update.status,
+        digest: update.digest || null,
+        completed: update.completed ?? null,
+        total: update.total ?? null,
+        percent:
+          update.total > 0
+            ? Math.round(((update.completed || 0) / update.total) * 100)
+            : null,
+      });
+    }
+  }
+}
+
+/**
+ * Delete an installed model
+ * @param {string} model - Model name
+ * @returns {Promise<void>}
+ */
+export async function deleteOllamaModel(model) {
+  await ollamaFetch("/api/delete", {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ model }),
+  });
+}
@@ -0,0 +1,187 @@
+/**
+ * Pricing for NeuroLink Demo Server
+ *
+ * Per-model input and output token prices used to estimate what each
+ * generation cost and to rank providers for the cheapest routing policy.
+ * Prices default to the list prices in the model catalog and can be
+ * overridden in .pricing.json, for example with negotiated rates or for
+ * models the catalog does not know.
+ */
+
+import fs from "fs";
+import path from "path";
+import { findModel } from "./model-catalog.js";
+
+// Pricing override file path
+const PRICING_FILE =
+  process.env.PRICING_FILE || path.join(process.cwd(), ".pricing.json");
+
+// Currency of every price and estimate
+export const PRICING_CURRENCY = "USD";
+
+/**
+ * Load price overrides from .pricing.json
+ * Shape: { provider: { model: { inputPerMillion, outputPerMillion } } },
+ * where a "*" model applies to every model of the provider
+ * @returns {Object} Overrides keyed by provider and model
+ */
+export function loadPricingOverrides() {
+  try {
+    if (fs.existsSync(PRICING_FILE)) {
+      return JSON.parse(fs.readFileSync(PRICING_FILE, "utf-8"));
+    }
+  } catch (error) {
+    console.error("[Pricing] Error loading config:", error.message);
+  }
+  return {};
+}
+
+/**
+ * Check that a price entry has both token prices
+ * @param {*} entry - Candidate price entry
+ * @returns {boolean} True if usable
+ */
+function isValidPrice(entry) {
+  return (
+    typeof entry?.inputPerMillion === "number" &&
+    typeof entry?.outputPerMillion === "number" &&
+    entry.inputPerMillion >= 0 &&
+    entry.outputPerMillion >= 0
+  );
+}
+
+/**
+ * Get the token prices for a model
+ * An override for the model wins over a "*" override, which wins over the
+ * catalog list price
+ * @param {string} provider - Provider name
+ * @param {string} model - Model identifier
+ * @param {Object} [overrides] - Price overrides
+ * @returns {Object|null} Prices per 1M tokens and their source, or null if unknown
+ */
+export function getModelPricing(
+  provider,
+  model,
+  overrides = loadPricingOverrides(),
+) {
+  const providerOverrides = Object.hasOwn(overrides, provider)
+    ? overrides[provider]
+    : {};
+
+  for (const key of [model, "*"]) {
+    if (
+      Object.hasOwn(providerOverrides, key) &&
+      isValidPrice(providerOverrides[key])
+    ) {
+      const { inputPerMillion, outputPerMillion } = providerOverrides[key];
+      return { inputPerMillion, outputPerMillion, source: "override" };
+    }
+  }
+
+  const pricing = findModel(provider, model)?.pricing;
+  return isValidPrice(pricing) ? { ...pricing, source: "catalog" } : null;
+}
+
+/**
+ * Get a single price for ranking models by cost
+ * @param {string} provider - Provider name
+ * @param {string} model - Model identifier
+ * @param {Object} [overrides] - Price overrides
+ * @returns {number|undefined} Input plus output price per 1M tokens, or undefined if unknown
+ */
+export function getCombinedPrice(
+  provider,
+  model,
+  overrides = loadPricingOverrides(),
+) {
+  const pricing = getModelPricing(provider, model, overrides);
+  return pricing
+    ? pricing.inputPerMillion + pricing.outputPerMillion
+    : undefined;
+}
+
+/**
+ * Build an estimate that cannot be priced
+ * @param {Object|null} pricing - Prices used, or null if the model has none
+ * @param {string} reason - Why there is no cost
+ * @returns {Object} Estimate with null costs
+ */
+function unpricedCost(pricing, reason) {
+  return {
+    inputCost: null,
+    outputCost: null,
+    totalCost: null,
+    currency: PRICING_CURRENCY,
+    pricing,
+    unpriced: true,
+    reason,
+  };
+}
+
+/**
+ * Round a dollar amount for reporting
+ * @param {number} amount - Amount in USD
+ * @returns {number} Amount rounded to a millionth of a dollar
+ */
+export function roundCost(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+/**
+ * Estimate the cost of one generation
+ * When a provider only reports total tokens, they are priced at the output
+ * rate, which gives an upper bound. When it reports no tokens at all, the
+ * cost is unknown rather than zero.
+ * @param {string} provider - Provider that answered
+ * @param {string} model - Model that answered
+ * @param {Object} [usage] - Token usage
+ * @returns {Object} Input, output and total cost in USD, or null costs and
+ *   unpriced: true if the model has no price or the usage is missing
+ */
+export function estimateCost(provider, model, usage = {}) {
+  const pricing = getModelPricing(provider, model);
+  if (!pricing) {
+    return unpricedCost(null, "No price is known for this model");
+  }
+
+  const split =
+    usage?.promptTokens !== undefined || usage?.completionTokens !== undefined;
+  if (!split && !usage?.totalTokens) {
+    return unpricedCost(pricing, "The provider reported no token usage");
+  }
+  const inputTokens = split ? usage.promptTokens || 0 : 0;
+  const outputTokens = split
+    ? usage.completionTokens || 0
+    : usage?.totalTokens || 0;
+  const inputCost = (inputTokens / 1e6) * pricing.inputPerMillion;
+  const outputCost = (outputTokens / 1e6) * pricing.outputPerMillion;
+
+  return {
+    inputCost: roundCost(inputCost),
+    outputCost: roundCost(outputCost),
+    totalCost: roundCost(inputCost + outputCost),
+    currency: PRICING_CURRENCY,
+    pricing,
+    ...(split ? {} : { upperBound: true }),
+  };
+}
+
+/**
+ * Add up the costs of several generations, e.g. tool rounds or repairs
+ * @param {Object[]} costs - Estimates from estimateCost
+ * @returns {Object} Combined estimate; totalCost is null if any part is unpriced
+ */
+export function sumCosts(costs) {
+  const priced = costs.every((cost) => cost && cost.totalCost !== null);
+  const total = (key) =>
+    priced ? roundCost(costs.reduce((sum, cost) => sum + cost[key], 0)) : null;
+
+  return {
+    inputCost: total("inputCost"),
+    outputCost: total("outputCost"),
+    totalCost: total("totalCost"),
+    currency: PRICING_CURRENCY,
+    generations: costs.length,
+    ...(priced ? {} : { unpriced: true }),
+  };
+}
@@ -0,0 +1,231 @@
+/**
+ * Response Cache for NeuroLink Demo Server
+ *
+ * Opt-in cache of generation results, keyed by a hash of the provider,
+ * model, prompt, system prompt and generation parameters, so repeated
+ * queries are answered without calling a provider again. Entries expire
+ * after a TTL and can optionally be saved to .response-cache.json.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { ValidationError } from "./errors.js";
+import { createFileWriter } from "./file-writer.js";
+
+// The cache is off unless explicitly enabled
+const RESPONSE_CACHE_ENABLED = process.env.RESPONSE_CACHE_ENABLED === "true";
+
+// How long an entry is served (ms)
+const RESPONSE_CACHE_TTL_MS =
+  parseInt(process.env.RESPONSE_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+
+// Oldest entries are evicted beyond this many
+const RESPONSE_CACHE_MAX_ENTRIES =
+  parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500;
+
+// "memory" keeps entries for the life of the process, "disk" also saves them
+const RESPONSE_CACHE_STORE =
+  process.env.RESPONSE_CACHE_STORE === "disk" ? "disk" : "memory";
+
+// On-disk store file path
+const RESPONSE_CACHE_FILE =
+  process.env.RESPONSE_CACHE_FILE ||
+  path.join(process.cwd(), ".response-cache.json");
+
+// Per-request cache controls: skip the cache entirely, or regenerate and store
+export const CACHE_MODES = ["bypass", "refresh"];
+
+// Entries keyed by hash, least recently used first
+const entries = loadEntries();
+const writeEntries = createFileWriter(RESPONSE_CACHE_FILE, () =>
+  JSON.stringify(Object.fromEntries(entries)),
+);
+
+// Lookup counters for analytics
+const stats = { hits: 0, misses: 0, refreshes: 0, bypasses: 0, evictions: 0 };
+
+/**
+ * Load saved entries, dropping expired ones
+ * @returns {Map} Entries keyed by hash
+ */
+function loadEntries() {
+  if (!RESPONSE_CACHE_ENABLED || RESPONSE_CACHE_STORE !== "disk") {
+    return new Map();
+  }
+
+  try {
+    if (fs.existsSync(RESPONSE_CACHE_FILE)) {
+      const saved = JSON.parse(fs.readFileSync(RESPONSE_CACHE_FILE, "utf8"));
+      const now = Date.now();
+      return new Map(
+        Object.entries(saved).filter(([, entry]) => entry.expiresAt > now),
+      );
+    }
+  } catch (error) {
+    console.error(
+      `[Cache] Failed to load ${RESPONSE_CACHE_FILE}:`,
+      error.message,
+    );
+  }
+  return new Map();
+}
+
+/**
+ * Write entries to disk when the disk store is used
+ * @returns {Promise<void>}
+ */
+async function saveEntries() {
+  if (RESPONSE_CACHE_STORE !== "disk") {
+    return;
+  }
+
+  try {
+    await writeEntries();
+  } catch (error) {
+    console.error(
+      `[Cache] Failed to save ${RESPONSE_CACHE_FILE}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Check a per-request cache mode
+ * @param {string} [mode] - "bypass", "refresh" or undefined for normal use
+ * @throws {ValidationError} If the mode is unknown
+ */
+export function assertValidCacheMode(mode) {
+  if (mode !== undefined && !CACHE_MODES.includes(mode)) {
+    throw new ValidationError(`Unknown cache mode: ${mode}`, {
+      details: { availableModes: CACHE_MODES },
+    });
+  }
+}
+
+/**
+ * Build the cache key for a generation request
+ * Leading and trailing whitespace and line endings do not change the key;
+ * other whitespace does, since indentation matters in code and data
+ * @param {Object} request - Requested provider, model, prompts and parameters
+ * @returns {string} SHA-256 hash of the normalized request
+ */
+export function buildCacheKey({
+  provider,
+  model,
+  prompt,
+  systemPrompt,
+  temperature,
+  maxTokens,
+  schema,
+}) {
+  const normalize = (text) =>
+    typeof text === "string" ? text.replace(/\r\n/g, "\n").trim() : null;
+
+  return createHash("sha256")
+    .update(
+      JSON.stringify([
+        String(provider).toLowerCase(),
+        model || null,
+        normalize(prompt),
+        normalize(systemPrompt),
+        Number(temperature),
+        Number(maxTokens),
+        schema ?? null,
+      ]),
+    )
+    .digest("hex");
+}
+
+/**
+ * Look up a cached result
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {string} [mode] - Per-request cache mode
+ * @returns {Object|null} Cached entry with result, cachedAt and expiresAt, or null
+ */
+export function getCachedResponse(key, mode) {
+  if (!RESPONSE_CACHE_ENABLED) {
+    return null;
+  }
+  if (mode === "bypass") {
+    stats.bypasses++;
+    return null;
+  }
+  if (mode === "refresh") {
+    stats.refreshes++;
+    return null;
+  }
+
+  const entry = entries.get(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) {
+      entries.delete(key);
+    }
+    stats.misses++;
+    return null;
+  }
+
+  // Move the entry to the most recently used end
+  entries.delete(key);
+  entries.set(key, entry);
+  stats.hits++;
+  return entry;
+}
+
+/**
+ * Store a generation result
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {Object} result - Content, provider, model and usage to replay
+ * @param {string} [mode] - Per-request cache mode; "bypass" stores nothing
+ * @returns {Object|null} Stored entry, or null if nothing was stored
+ */
+export function setCachedResponse(key, result, mode) {
+  if (!RESPONSE_CACHE_ENABLED || mode === "bypass") {
+    return null;
+  }
+
+  const now = Date.now();
+  const entry = {
+    result,
+    cachedAt: now,
+    expiresAt: now + RESPONSE_CACHE_TTL_MS,
+  };
+  entries.delete(key);
+  entries.set(key, entry);
+
+  while (entries.size > RESPONSE_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+
+  saveEntries();
+  return entry;
+}
+
+/**
+ * Remove every cached entry
+ * @returns {number} Number of entries removed
+ */
+export function clearResponseCache() {
+  const removed = entries.size;
+  entries.clear();
+  saveEntries();
+  return removed;
+}
+
+/**
+ * Get cache settings and hit rates for analytics
+ * @returns {Object} Settings, entry count and lookup counters
+ */
+export function getResponseCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: RESPONSE_CACHE_ENABLED,
+    store: RESPONSE_CACHE_STORE,
+    ttlMs: RESPONSE_CACHE_TTL_MS,
+    maxEntries: RESPONSE_CACHE_MAX_ENTRIES,
+    entries: entries.size,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 10000) / 100 : 0,
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Provider Retry Policy for NeuroLink Demo Server
+ *
+ * Retries rate-limited and transient network failures on the same provider
+ * with jittered exponential backoff before the fallback loop moves on.
+ * Switching providers changes output style and cost, so a short wait on
+ * the same provider is preferred when the failure is temporary.
+ */
+
+import { classifyProviderError } from "./errors.js";
+
+// Retries per provider after the first attempt
+const MAX_RETRIES = parseInt(process.env.RETRY_MAX_ATTEMPTS ?? "2", 10);
+
+// Base delay for exponential backoff (ms)
+const BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 500;
+
+// Longest delay we are willing to wait before retrying (ms)
+// A Retry-After longer than this falls back to the next provider instead
+const MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 10000;
+
+/**
+ * Sleep for the given duration, waking early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [abortSignal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, abortSignal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortSignal.reason);
+    };
+    const timer = setTimeout(() => {
+      abortSignal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    abortSignal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Check whether an error is worth retrying on the same provider
+ * @param {Error} error - Provider error
+ * @returns {boolean} True for rate limits and transient network failures
+ */
+export function isRetryableError(error) {
+  return error?.isRetryable === true || classifyProviderError(error).retryable;
+}
+
+/**
+ * Read a Retry-After hint from an SDK error
+ * Supports delta-seconds and HTTP-date values from response headers
+ * @param {Error} error - Provider error
+ * @returns {number|null} Delay in milliseconds, or null if none was provided
+ */
+export function getRetryAfterMs(error) {
+  if (typeof error?.retryAfter === "number") {
+    return error.retryAfter * 1000;
+  }
+
+  const headers = error?.responseHeaders || error?.headers || {};
+  const value =
+    typeof headers.get === "function"
+      ? headers.get("retry-after")
+      : headers["retry-after"] || headers["Retry-After"];
+
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Compute a full-jitter exponential backoff delay
+ * @param {number} retry - Zero-based retry number
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(retry) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** retry);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an operation, retrying retryable errors with backoff
+ * @param {Function} operation - Async function to run
+ * @param {Object} options - Retry options
+ * @param {string} options.label - Name used in log messages
+ * @param {number} [options.maxRetries] - Override for the configured retry count
+ * @param {AbortSignal} [options.abortSignal] - Stops retrying once the request is cancelled
+ * @returns {Promise<*>} Result of the operation
+ */
+export async function withRetry(
+  operation,
+  { label, maxRetries, abortSignal } = {},
+) {
+  const retries = maxRetries ?? MAX_RETRIES;
+
+  for (let retry = 0; ; retry++) {
+    abortSignal?.throwIfAborted();
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (
+        abortSignal?.aborted ||
+        retry >= retries ||
+        !isRetryableError(error)
+      ) {
+        throw error;
+      }
+
+      const retryAfterMs = getRetryAfterMs(error);
+      if (retryAfterMs !== null && retryAfterMs > MAX_DELAY_MS) {
+        console.log(
+          `[Retry] ${label} asked to wait ${retryAfterMs}ms, longer than the ${MAX_DELAY_MS}ms limit`,
+        );
+        throw error;
+      }
+
+      const delay = retryAfterMs ?? getBackoffDelay(retry);
+      console.log(
+        `[Retry] ${label} failed (${error.message}), retry ${retry + 1}/${retries} in ${delay}ms`,
+      );
+      await sleep(delay, abortSignal);
+    }
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * Provider Routing Policies for NeuroLink Demo Server
+ *
+ * This module decides the order in which configured providers are tried
+ * for a generation request. Policies can be selected per request and
+ * configured from environment variables or .routing-config.json, which is
+ * loaded at startup and reloaded when it changes.
+ */
+
+import fs from "fs";
+import path from "path";
+import { ValidationError } from "./errors.js";
+import { DEFAULT_MODELS } from "./model-catalog.js";
+import { getCombinedPrice, loadPricingOverrides } from "./pricing.js";
+
+// Routing configuration file path
+const ROUTING_CONFIG_FILE =
+  process.env.ROUTING_CONFIG_FILE ||
+  path.join(process.cwd(), ".routing-config.json");
+
+// Supported routing policy names
+export const ROUTING_POLICIES = [
+  "priority",
+  "cheapest",
+  "fastest",
+  "round-robin",
+  "weighted",
+];
+
+// Weight for providers that are not listed in the weights configuration
+const DEFAULT_WEIGHT = 1;
+
+// Smoothing factor for the exponentially weighted latency average
+const LATENCY_SMOOTHING = 0.3;
+
+// Observed latency per provider (ms), updated after each successful generation
+const observedLatency = {};
+
+// Round-robin cursor shared across requests
+let roundRobinCursor = 0;
+
+// How often the config file is checked for changes (ms)
+const ROUTING_CONFIG_POLL_MS = 2000;
+
+// Current routing configuration
+let routingConfig = loadRoutingConfig();
+
+// Reload when the config file is created, edited or removed
+fs.watchFile(
+  ROUTING_CONFIG_FILE,
+  { persistent: false, interval: ROUTING_CONFIG_POLL_MS },
+  (current, previous) => {
+    // A missing file is reported once with zeroed stats; nothing changed
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+    routingConfig = loadRoutingConfig();
+    console.log(
+      `[Routing] Reloaded config, default policy: ${routingConfig.defaultPolicy}`,
+    );
+  },
+);
+
+/**
+ * Parse a "name:value,name:value" environment variable into an object
+ * @param {string} value - Raw environment variable
+ * @returns {Object} Map of provider name to number
+ */
+function parseProviderMap(value) {
+  const result = {};
+  if (!value) {
+    return result;
+  }
+
+  for (const entry of value.split(",")) {
+    const [name, amount] = entry.split(":").map((part) => part.trim());
+    if (name && !Number.isNaN(Number(amount))) {
+      result[name] = Number(amount);
+    }
+  }
+  return result;
+}
+
+/**
+ * Load routing configuration from .routing-config.json and environment variables
+ * Environment variables take precedence over the file. An unknown default
+ * policy is logged and replaced with "priority".
+ * @returns {Object} Routing configuration
+ */
+export function loadRoutingConfig() {
+  let fileConfig = {};
+
+  try {
+    if (fs.existsSync(ROUTING_CONFIG_FILE)) {
+      fileConfig = JSON.parse(fs.readFileSync(ROUTING_CONFIG_FILE, "utf-8"));
+    }
+  } catch (error) {
+    console.error("[Routing] Error loading config:", error.message);
+  }
+
+  let defaultPolicy =
+    process.env.ROUTING_POLICY || fileConfig.defaultPolicy || "priority";
+  if (!isValidRoutingPolicy(defaultPolicy)) {
+    console.log(
+      `[Routing] Unknown default policy "${defaultPolicy}", using priority`,
+    );
+    defaultPolicy = "priority";
+  }
+
+  return {
+    defaultPolicy,
+    priority: process.env.ROUTING_PRIORITY
+      ? process.env.ROUTING_PRIORITY.split(",").map((p) => p.trim())
+      : fileConfig.priority || [],
+    weights: {
+      ...fileConfig.weights,
+      ...parseProviderMap(process.env.ROUTING_WEIGHTS),
+    },
+  };
+}
+
+/**
+ * Check whether a routing policy name is supported
+ * @param {string} policy - Policy name
+ * @returns {boolean} True if the policy exists
+ */
+export function isValidRoutingPolicy(policy) {
+  return ROUTING_POLICIES.includes(policy);
+}
+
+/**
+ * Record an observed response time for the fastest policy
+ * @param {string} provider - Provider name
+ * @param {number} latencyMs - Observed response time
+ */
+export function recordProviderLatency(provider, latencyMs) {
+  const previous = observedLatency[provider];
+  observedLatency[provider] =
+    previous === undefined
+      ? latencyMs
+      : Math.round(
+          LATENCY_SMOOTHING * latencyMs + (1 - LATENCY_SMOOTHING) * previous,
+        );
+}
+
+/**
+ * Sort providers by a numeric key, keeping the original order for ties
+ * Providers without a value are placed last
+ */
+function sortByKey(providers, getKey) {
+  return providers
+    .map((provider, index) => ({ provider, index, key: getKey(provider) }))
+    .sort((a, b) => {
+      const aKey = a.key ?? Infinity;
+      const bKey = b.key ?? Infinity;
+      return aKey - bKey || a.index - b.index;
+    })
+    .map((entry) => entry.provider);
+}
+
+/**
+ * Order providers by weighted random sampling without replacement
+ */
+function weightedShuffle(providers, weights) {
+  const remaining = [...providers];
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    const providerWeights = remaining.map((p) =>
+      Math.max(0, weights[p] ?? DEFAULT_WEIGHT),
+    );
+    const total = providerWeights.reduce((sum, w) => sum + w, 0);
+
+    let index = 0;
+    if (total > 0) {
+      let pick = Math.random() * total;
+      while (pick >= providerWeights[index]) {
+        pick -= providerWeights[index];
+        index++;
+      }
+    }
+
+    ordered.push(remaining.splice(index, 1)[0]);
+  }
+
+  return ordered;
+}
+
+/**
+ * Order candidate providers according to a routing policy
+ * @param {string[]} providers - Configured providers in default priority order
+ * @param {string} [policy] - Policy name (defaults to the configured policy)
+ * @param {Object} [options]
+ * @param {Function} [options.getModel] - Model each provider would use, for the cheapest policy
+ * @returns {string[]} Providers in the order they should be attempted
+ * @throws {ValidationError} If the policy is unknown
+ */
+export function orderProviders(
+  providers,
+  policy,
+  { getModel = (provider) => DEFAULT_MODELS[provider] } = {},
+) {
+  const config = routingConfig;
+  const policyName = policy || config.defaultPolicy;
+
+  switch (policyName) {
+    case "priority": {
+      if (config.priority.length === 0) {
+        return [...providers];
+      }
+      return sortByKey(providers, (p) => {
+        const rank = config.priority.indexOf(p);
+        return rank === -1 ? undefined : rank;
+      });
+    }
+
+    case "cheapest": {
+      // Same prices as the cost estimates; unpriced models go last
+      const overrides = loadPricingOverrides();
+      return sortByKey(providers, (p) =>
+        getCombinedPrice(p, getModel(p), overrides),
+      );
+    }
+
+    case "fastest":
+      return sortByKey(providers, (p) => observedLatency[p]);
+
+    case "round-robin": {
+      if (providers.length === 0) {
+        return [];
+      }
+      const offset = roundRobinCursor++ % providers.length;
+      return [...providers.slice(offset), ...providers.slice(0, offset)];
+    }
+
+    case "weighted":
+      return weightedShuffle(providers, config.weights);
+
+    default:
+      throw new ValidationError(`Unknown routing policy: ${policyName}`, {
+        details: { availablePolicies: ROUTING_POLICIES },
+      });
+  }
+}
+
+/**
+ * Get a summary of routing configuration and observed latency
+ * @returns {Object} Routing status
+ */
+export function getRoutingStatus() {
+  return {
+    defaultPolicy: routingConfig.defaultPolicy,
+    availablePolicies: ROUTING_POLICIES,
+    observedLatency: { ...observedLatency },
+  };
+}
@@ -0,0 +1,339 @@
+/**
+ * Schema Registry for NeuroLink Demo Server
+ *
+ * Named JSON Schemas and prompts for POST /api/schema. The built-in
+ * schemas ship with the demo; custom schemas are registered through
+ * /api/schemas and saved to .schemas.json so they survive restarts.
+ */
+
+import fs from "fs";
+import path from "path";
+import { NotFoundError, ValidationError } from "./errors.js";
+import { createFileWriter } from "./file-writer.js";
+
+// Custom schema storage file path
+const SCHEMAS_FILE =
+  process.env.SCHEMAS_FILE || path.join(process.cwd(), ".schemas.json");
+
+// Names are used in URLs, so keep them simple
+const SCHEMA_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Types allowed in a JSON Schema "type" keyword
+const JSON_SCHEMA_TYPES = [
+  "object",
+  "array",
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "null",
+];
+
+// Schemas that ship with the demo and cannot be changed
+const BUILTIN_SCHEMAS = {
+  "user-profile": {
+    description: "Profile of a fictional character",
+    prompt:
+      "Generate a user profile for a fictional character including name, age, occupation, and hobbies.",
+    schema: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        age: { type: "number" },
+        occupation: { type: "string" },
+        hobbies: { type: "array", items: { type: "string" } },
+      },
+      required: ["name", "age", "occupation", "hobbies"],
+    },
+  },
+  "product-review": {
+    description: "Smartphone review with rating, pros and cons",
+    prompt:
+      "Generate a product review for a smartphone including rating, pros, cons, and recommendation.",
+    schema: {
+      type: "object",
+      properties: {
+        product: { type: "string" },
+        rating: { type: "number", minimum: 1, maximum: 5 },
+        pros: { type: "array", items: { type: "string" } },
+        cons: { type: "array", items: { type: "string" } },
+        recommendation: { type: "string" },
+      },
+      required: ["product", "rating", "pros", "cons", "recommendation"],
+    },
+  },
+  "meeting-notes": {
+    description: "Project planning meeting notes with action items",
+    prompt:
+      "Generate meeting notes for a project planning session including attendees, decisions, and action items.",
+    schema: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        date: { type: "string" },
+        attendees: { type: "array", items: { type: "string" } },
+        decisions: { type: "array", items: { type: "string" } },
+        actionItems: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              task: { type: "string" },
+              assignee: { type: "string" },
+              dueDate: { type: "string" },
+            },
+          },
+        },
+      },
+      required: ["title", "date", "attendees", "decisions", "actionItems"],
+    },
+  },
+};
+
+// Custom schemas keyed by name
+const customSchemas = loadCustomSchemas();
+const writeCustomSchemas = createFileWriter(SCHEMAS_FILE, () =>
+  JSON.stringify(customSchemas, null, 2),
+);
+
+/**
+ * Load saved custom schemas
+ * @returns {Object} Schemas keyed by name
+ */
+function loadCustomSchemas() {
+  try {
+    if (fs.existsSync(SCHEMAS_FILE)) {
+      return JSON.parse(fs.readFileSync(SCHEMAS_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.error(`[Schemas] Failed to load ${SCHEMAS_FILE}:`, error.message);
+  }
+  return {};
+}
+
+/**
+ * Write custom schemas to disk
+ * @returns {Promise<void>}
+ */
+async function saveCustomSchemas() {
+  try {
+    await writeCustomSchemas();
+  } catch (error) {
+    console.error(`[Schemas] Failed to save ${SCHEMAS_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Check that a JSON Schema is usable for structured output
+ * Nested schemas under properties, items, additionalProperties, allOf,
+ * anyOf and oneOf are checked too, and every pattern must compile
+ * @param {*} schema - Candidate schema
+ * @param {string} [at] - Location used in error messages
+ * @throws {ValidationError} If the schema is malformed
+ */
+export function assertValidSchema(schema, at = "schema") {
+  if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+    throw new ValidationError(`${at} must be a JSON Schema object`);
+  }
+
+  const types = [].concat(schema.type ?? []);
+  const unknown = types.filter((type) => !JSON_SCHEMA_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ValidationError(`${at}.type has unknown type: ${unknown[0]}`, {
+      details: { availableTypes: JSON_SCHEMA_TYPES },
+    });
+  }
+
+  if (schema.properties !== undefined) {
+    if (typeof schema.properties !== "object" || schema.properties === null) {
+      throw new ValidationError(`${at}.properties must be an object`);
+    }
+    for (const [key, property] of Object.entries(schema.properties)) {
+      assertValidSchema(property, `${at}.properties.${key}`);
+    }
+  }
+
+  if (
+    schema.required !== undefined &&
+    (!Array.isArray(schema.required) ||
+      schema.required.some((key) => typeof key !== "string"))
+  ) {
+    throw new ValidationError(`${at}.required must be an array of strings`);
+  }
+
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== "string") {
+      throw new ValidationError(`${at}.pattern must be a string`);
+    }
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      throw new ValidationError(
+        `${at}.pattern is not a valid regular expression: ${error.message}`,
+      );
+    }
+  }
+
+  if (schema.items !== undefined) {
+    assertValidSchema(schema.items, `${at}.items`);
+  }
+
+  if (
+    typeof schema.additionalProperties === "object" &&
+    schema.additionalProperties !== null
+  ) {
+    assertValidSchema(
+      schema.additionalProperties,
+      `${at}.additionalProperties`,
+    );
+  }
+
+  for (const keyword of ["allOf", "anyOf", "oneOf"]) {
+    if (schema[keyword] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(schema[keyword])) {
+      throw new ValidationError(`${at}.${keyword} must be an array`);
+    }
+    schema[keyword].forEach((subschema, index) =>
+      assertValidSchema(subschema, `${at}.${keyword}[${index}]`),
+    );
+  }
+}
+
+/**
+ * Check the fields of a schema definition
+ * @param {Object} definition - Prompt, schema and optional description
+ * @throws {ValidationError} If a field is missing or malformed
+ */
+function assertValidDefinition({ prompt, schema, description }) {
+  if (typeof prompt !== "string" || !prompt.trim()) {
+    throw new ValidationError("prompt is required");
+  }
+  if (description !== undefined && typeof description !== "string") {
+    throw new ValidationError("description must be a string");
+  }
+  assertValidSchema(schema);
+}
+
+/**
+ * List built-in and custom schemas
+ * @returns {Object[]} Schemas with name and builtIn flag
+ */
+export function listSchemas() {
+  return [
+    ...Object.entries(BUILTIN_SCHEMAS).map(([name, definition]) => ({
+      name,
+      builtIn: true,
+      ...definition,
+    })),
+    ...Object.values(customSchemas).map((entry) => ({
+      ...entry,
+      builtIn: false,
+    })),
+  ];
+}
+
+/**
+ * Get a schema by name
+ * @param {string} name - Schema name
+ * @returns {Object} Schema with name, prompt, schema and builtIn flag
+ * @throws {NotFoundError} If no schema has the name
+ */
+export function getSchema(name) {
+  if (Object.hasOwn(BUILTIN_SCHEMAS, name)) {
+    return { name, builtIn: true, ...BUILTIN_SCHEMAS[name] };
+  }
+  if (Object.hasOwn(customSchemas, name)) {
+    return { ...customSchemas[name], builtIn: false };
+  }
+  throw new NotFoundError(`Schema not found: ${name}`, {
+    details: {
+      availableSchemas: [
+        ...Object.keys(BUILTIN_SCHEMAS),
+        ...Object.keys(customSchemas),
+      ],
+    },
+  });
+}
+
+/**
+ * Register a custom schema
+ * @param {Object} definition - Schema definition
+ * @param {string} definition.name - Unique name used as the /api/schema type
+ * @param {string} definition.prompt - Prompt used to generate the data
+ * @param {Object} definition.schema - JSON Schema for the generated data
+ * @param {string} [definition.description] - Short description
+ * @returns {Object} Registered schema
+ * @throws {ValidationError} If the name is taken or the definition is malformed
+ */
+export function createSchema({ name, prompt, schema, description }) {
+  if (typeof name !== "string" || !SCHEMA_NAME_PATTERN.test(name)) {
+    throw new ValidationError(
+      "name must be 1-64 letters, digits, dashes or underscores",
+    );
+  }
+  if (
+    Object.hasOwn(BUILTIN_SCHEMAS, name) ||
+    Object.hasOwn(customSchemas, name)
+  ) {
+    throw new ValidationError(`Schema already exists: ${name}`);
+  }
+  assertValidDefinition({ prompt, schema, description });
+
+  const now = new Date().toISOString();
+  customSchemas[name] = {
+    name,
+    description: description || "",
+    prompt,
+    schema,
+    createdAt: now,
+    updatedAt: now,
+  };
+  saveCustomSchemas();
+  return getSchema(name);
+}
+
+/**
+ * Replace the prompt, schema or description of a custom schema
+ * @param {string} name - Schema name
+ * @param {Object} changes - Fields to replace
+ * @returns {Object} Updated schema
+ * @throws {NotFoundError} If no custom schema has the name
+ * @throws {ValidationError} If the schema is built in or the result is malformed
+ */
+export function updateSchema(name, { prompt, schema, description }) {
+  if (Object.hasOwn(BUILTIN_SCHEMAS, name)) {
+    throw new ValidationError(`Built-in schema cannot be changed: ${name}`);
+  }
+  const existing = getSchema(name);
+  const updated = {
+    prompt: prompt ?? existing.prompt,
+    schema: schema ?? existing.schema,
+    description: description ?? existing.description,
+  };
+  assertValidDefinition(updated);
+
+  customSchemas[name] = {
+    ...customSchemas[name],
+    ...updated,
+    updatedAt: new Date().toISOString(),
+  };
+  saveCustomSchemas();
+  return getSchema(name);
+}
+
+/**
+ * Delete a custom schema
+ * @param {string} name - Schema name
+ * @throws {NotFoundError} If no custom schema has the name
+ * @throws {ValidationError} If the schema is built in
+ */
+export function deleteSchema(name) {
+  if (Object.hasOwn(BUILTIN_SCHEMAS, name)) {
+    throw new ValidationError(`Built-in schema cannot be deleted: ${name}`);
+  }
+  getSchema(name);
+  delete customSchemas[name];
+  saveCustomSchemas();
+}
@@ -0,0 +1,383 @@
+/**
+ * Semantic Cache for NeuroLink Demo Server
+ *
+ * Answers near-duplicate requests from earlier answers to the same
+ * endpoint. The user's input is embedded, with a provider embedding API or
+ * a local hashed embedding, and a cached answer is returned when its input
+ * is similar enough. Each endpoint has its own scope, so a summary is never
+ * returned for an ideas request.
+ */
+
+import { assertValidCacheMode } from "./response-cache.js";
+import { OLLAMA_BASE_URL } from "./ollama-client.js";
+import { sumCosts } from "./pricing.js";
+
+// The semantic cache is off unless explicitly enabled
+const SEMANTIC_CACHE_ENABLED = process.env.SEMANTIC_CACHE_ENABLED === "true";
+
+// Minimum cosine similarity for a cached answer to be reused, from -1 to 1
+const SEMANTIC_CACHE_THRESHOLD = parseThreshold(
+  process.env.SEMANTIC_CACHE_THRESHOLD ?? "0.92",
+);
+
+/**
+ * Parse a similarity threshold, keeping an explicit 0 and clamping to [-1, 1]
+ * @param {string} value - Threshold from the environment
+ * @returns {number} Threshold, or 0.92 if the value is not a number
+ */
+function parseThreshold(value) {
+  const threshold = parseFloat(value);
+  return Number.isFinite(threshold)
+    ? Math.min(Math.max(threshold, -1), 1)
+    : 0.92;
+}
+
+// How long an entry is served (ms)
+const SEMANTIC_CACHE_TTL_MS =
+  parseInt(process.env.SEMANTIC_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+
+// Oldest entries in a scope are evicted beyond this many
+const SEMANTIC_CACHE_MAX_ENTRIES =
+  parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES, 10) || 200;
+
+// Timeout for a provider embedding request (ms)
+const EMBEDDING_TIMEOUT_MS =
+  parseInt(process.env.SEMANTIC_CACHE_EMBEDDING_TIMEOUT_MS, 10) || 5000;
+
+// Embedding APIs that can be used instead of the local embedding
+const EMBEDDING_PROVIDERS = {
+  openai: {
+    defaultModel: "text-embedding-3-small",
+    request: (model, text) => ({
+      url: "https://api.openai.com/v1/embeddings",
+      headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+      body: { model, input: text },
+    }),
+    parse: (body) => body.data?.[0]?.embedding,
+  },
+  ollama: {
+    defaultModel: "nomic-embed-text",
+    request: (model, text) => ({
+      url: `${OLLAMA_BASE_URL}/api/embed`,
+      headers: {},
+      body: { model, input: text },
+    }),
+    parse: (body) => body.embeddings?.[0],
+  },
+};
+
+// "local", or a key of EMBEDDING_PROVIDERS
+const SEMANTIC_CACHE_EMBEDDING = Object.hasOwn(
+  EMBEDDING_PROVIDERS,
+  process.env.SEMANTIC_CACHE_EMBEDDING,
+)
+  ? process.env.SEMANTIC_CACHE_EMBEDDING
+  : "local";
+
+// Model used with the embedding provider
+const SEMANTIC_CACHE_EMBEDDING_MODEL =
+  SEMANTIC_CACHE_EMBEDDING === "local"
+    ? null
+    : process.env.SEMANTIC_CACHE_EMBEDDING_MODEL ||
+      EMBEDDING_PROVIDERS[SEMANTIC_CACHE_EMBEDDING].defaultModel;
+
+// Size of the local hashed embedding
+const LOCAL_EMBEDDING_DIMENSIONS = 512;
+
+// Entries per scope, oldest first
+const scopes = new Map();
+
+// Lookup counters per scope
+const scopeStats = new Map();
+
+/**
+ * Hash a feature string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} feature - Feature such as a word or character trigram
+ * @returns {number} Hash
+ */
+function hashFeature(feature) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {number[]} vector - Vector
+ * @returns {number[]} Unit vector, or the input if it is all zeros
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return length > 0 ? vector.map((x) => x / length) : vector;
+}
+
+/**
+ * Embed text locally by hashing its words and character trigrams
+ * Tolerates changes in casing, punctuation and a few words, but not paraphrases
+ * @param {string} text - Text to embed
+ * @returns {number[]} Unit vector
+ */
+function localEmbedding(text) {
+  const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+  const normalized = text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  const add = (feature, weight) => {
+    vector[hashFeature(feature) % LOCAL_EMBEDDING_DIMENSIONS] += weight;
+  };
+
+  for (const word of normalized.split(" ").filter(Boolean)) {
+    add(`w:${word}`, 1);
+  }
+  for (let i = 0; i + 3 <= normalized.length; i++) {
+    add(`c:${normalized.slice(i, i + 3)}`, 0.5);
+  }
+
+  return normalizeVector(vector);
+}
+
+/**
+ * Embed text with the configured embedding provider
+ * Falls back to the local embedding if the provider request fails
+ * @param {string} text - Text to embed
+ * @returns {Promise<Object>} Unit vector and the embedding used
+ */
+async function embed(text) {
+  if (SEMANTIC_CACHE_EMBEDDING !== "local") {
+    const provider = EMBEDDING_PROVIDERS[SEMANTIC_CACHE_EMBEDDING];
+    const { url, headers, body } = provider.request(
+      SEMANTIC_CACHE_EMBEDDING_MODEL,
+      text,
+    );
+
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(EMBEDDING_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const vector = provider.parse(await response.json());
+      if (!Array.isArray(vector) || vector.length === 0) {
+        throw new Error("Response has no embedding");
+      }
+      return {
+        vector: normalizeVector(vector),
+        embedding: `${SEMANTIC_CACHE_EMBEDDING}:${SEMANTIC_CACHE_EMBEDDING_MODEL}`,
+      };
+    } catch (error) {
+      console.log(
+        `[SemanticCache] ${SEMANTIC_CACHE_EMBEDDING} embedding failed, using local embedding: ${error.message}`,
+      );
+    }
+  }
+
+  return { vector: localEmbedding(text), embedding: "local" };
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity between -1 and 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+/**
+ * Get the lookup counters for a scope
+ * @param {string} scope - Cache scope
+ * @returns {Object} Counters
+ */
+function getScopeStats(scope) {
+  if (!scopeStats.has(scope)) {
+    scopeStats.set(scope, { hits: 0, misses: 0, refreshes: 0, bypasses: 0 });
+  }
+  return scopeStats.get(scope);
+}
+
+/**
+ * Find the most similar live entry with the same variant and embedding
+ * @param {Object[]} entries - Entries in the scope
+ * @param {Object} query - Vector, embedding and variant of the request
+ * @returns {Object|null} Best entry and its similarity
+ */
+function findBestMatch(entries, { vector, embedding, variant }) {
+  const now = Date.now();
+  let best = null;
+
+  for (const entry of entries) {
+    if (
+      entry.expiresAt <= now ||
+      entry.embedding !== embedding ||
+      entry.variant !== variant
+    ) {
+      continue;
+    }
+    const similarity = cosineSimilarity(vector, entry.vector);
+    // Prefer the newest entry when similarities tie
+    if (!best || similarity >= best.similarity) {
+      best = { entry, similarity };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Answer a request from the semantic cache, or generate and cache the answer
+ * @param {string} scope - Cache scope, usually the endpoint path
+ * @param {Object} request - What identifies the request
+ * @param {string} request.text - User input compared for similarity
+ * @param {*} [request.variant] - Options that must match exactly, e.g. summary length
+ * @param {string} [request.cache] - Per-request cache mode ("bypass" or "refresh")
+ * @param {Function} generate - Async () => generation result
+ * @returns {Promise<Object>} Generation result with semanticCache metadata
+ */
+export async function withSemanticCache(
+  scope,
+  { text, variant = null, cache },
+  generate,
+) {
+  if (!SEMANTIC_CACHE_ENABLED || typeof text !== "string" || !text.trim()) {
+    return generate();
+  }
+  assertValidCacheMode(cache);
+
+  const stats = getScopeStats(scope);
+  const metadata = {
+    hit: false,
+    mode: cache ?? null,
+    threshold: SEMANTIC_CACHE_THRESHOLD,
+    similarity: null,
+    matchedPrompt: null,
+    embedding: null,
+  };
+
+  if (cache === "bypass") {
+    stats.bypasses++;
+    return { ...(await generate()), semanticCache: metadata };
+  }
+
+  const { vector, embedding } = await embed(text);
+  const query = { vector, embedding, variant: JSON.stringify(variant) };
+  metadata.embedding = embedding;
+
+  if (cache === "refresh") {
+    stats.refreshes++;
+  } else {
+    const best = findBestMatch(scopes.get(scope) || [], query);
+    metadata.similarity = best
+      ? Math.round(best.similarity * 10000) / 10000
+      : null;
+
+    if (best && best.similarity >= SEMANTIC_CACHE_THRESHOLD) {
+      stats.hits++;
+      console.log(
+        `[SemanticCache] Hit in ${scope} (similarity ${metadata.similarity})`,
+      );
+      return {
+        ...best.entry.result,
+        // No provider was called for this answer
+        cost: sumCosts([]),
+        semanticCache: {
+          ...metadata,
+          hit: true,
+          matchedPrompt: best.entry.text,
+          cachedAt: new Date(best.entry.cachedAt).toISOString(),
+        },
+      };
+    }
+    stats.misses++;
+  }
+
+  const result = await generate();
+
+  // Re-read the scope, since other requests may have added entries meanwhile.
+  // Drop expired entries and, on refresh, the answers being replaced
+  const now = Date.now();
+  const kept = (scopes.get(scope) || []).filter(
+    (entry) =>
+      entry.expiresAt > now &&
+      !(
+        cache === "refresh" &&
+        entry.embedding === embedding &&
+        entry.variant === query.variant &&
+        cosineSimilarity(vector, entry.vector) >= SEMANTIC_CACHE_THRESHOLD
+      ),
+  );
+  kept.push({
+    text,
+    vector,
+    embedding,
+    variant: query.variant,
+    result: {
+      content: result.content,
+      object: result.object,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+    },
+    cachedAt: now,
+    expiresAt: now + SEMANTIC_CACHE_TTL_MS,
+  });
+  scopes.set(scope, kept.slice(-SEMANTIC_CACHE_MAX_ENTRIES));
+
+  return { ...result, semanticCache: metadata };
+}
+
+/**
+ * Remove every semantic cache entry
+ * @returns {number} Number of entries removed
+ */
+export function clearSemanticCache() {
+  let removed = 0;
+  for (const entries of scopes.values()) {
+    removed += entries.length;
+  }
+  scopes.clear();
+  return removed;
+}
+
+/**
+ * Get semantic cache settings and hit rates per scope for analytics
+ * @returns {Object} Settings and per-scope counters
+ */
+export function getSemanticCacheStats() {
+  return {
+    enabled: SEMANTIC_CACHE_ENABLED,
+    threshold: SEMANTIC_CACHE_THRESHOLD,
+    ttlMs: SEMANTIC_CACHE_TTL_MS,
+    embedding: SEMANTIC_CACHE_EMBEDDING_MODEL
+      ? `${SEMANTIC_CACHE_EMBEDDING}:${SEMANTIC_CACHE_EMBEDDING_MODEL}`
+      : "local",
+    scopes: Object.fromEntries(
+      [...scopeStats].map(([scope, stats]) => {
+        const lookups = stats.hits + stats.misses;
+        return [
+          scope,
+          {
+            entries: scopes.get(scope)?.length || 0,
+            ...stats,
+            hitRate:
+              lookups > 0
+                ? Math.round((stats.hits / lookups) * 10000) / 100
+                : 0,
+          },
+        ];
+      }),
+    ),
+  };
+}
@@ -14,6 +14,115 @@ import cors from "cors";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  orderProviders,
+  isValidRoutingPolicy,
+  recordProviderLatency,
+  getRoutingStatus,
+  ROUTING_POLICIES,
+} from "./routing-policies.js";
+import {
+  canAttemptProvider,
+  recordProviderSuccess,
+  recordProviderFailure,
+  getCircuitBreakerStatus,
+} from "./circuit-breaker.js";
+import { withRetry } from "./retry-policy.js";
+import {
+  startHealthMonitor,
+  refreshProviderHealth,
+  getProviderHealth,
+} from "./health-monitor.js";
+import {
+  getStatusHistory,
+  getStatusHistoryConfig,
+  parseWindow,
+} from "./status-history.js";
+import {
+  OLLAMA_BASE_URL,
+  listOllamaModels,
+  pullOllamaModel,
+  deleteOllamaModel,
+} from "./ollama-client.js";
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  appendMessages,
+  deleteConversation,
+  buildConversationPrompt,
+} from "./conversations.js";
+import {
+  getAvailableTools,
+  generateWithTools,
+  TOOL_ROUNDS_LIMIT,
+} from "./tool-calling.js";
+import { registerLocalTool } from "./local-tools.js";
+import {
+  assertValidCacheMode,
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearResponseCache,
+  getResponseCacheStats,
+} from "./response-cache.js";
+import {
+  withSemanticCache,
+  clearSemanticCache,
+  getSemanticCacheStats,
+} from "./semantic-cache.js";
+import {
+  recordGeneration,
+  getUsageSummary,
+  getCostSummary,
+} from "./usage-tracker.js";
+import { estimateCost, sumCosts } from "./pricing.js";
+import {
+  generateStructuredOutput,
+  createPartialJSONTracker,
+  SCHEMA_REPAIR_LIMIT,
+} from "./structured-output.js";
+import {
+  listSchemas,
+  getSchema,
+  createSchema,
+  updateSchema,
+  deleteSchema,
+  assertValidSchema,
+} from "./schema-registry.js";
+import {
+  loadToolPolicy,
+  listPendingApprovals,
+  decideApproval,
+  authorizeToolCall,
+  toolCallEvents,
+} from "./tool-policy.js";
+import { closeAllSessions } from "./mcp-client.js";
+import {
+  DEFAULT_MODELS,
+  getModelEnvVar,
+  getProviderModels,
+  getDiscoveredModels,
+  setDiscoveredModels,
+  findModel,
+  findProvidersForModel,
+  validateModelSelection,
+  getUnmetRequirements,
+  estimateTokens,
+  MODEL_CAPABILITIES,
+} from "./model-catalog.js";
+import {
+  AppError,
+  ValidationError,
+  NotFoundError,
+  RateLimitError,
+  ModelNotFoundError,
+  AllProvidersFailedError,
+  TimeoutError,
+  RequestCancelledError,
+  ToolCallDeniedError,
+  classifyProviderError,
+} from "./errors.js";
 
 // Configurable import: use published package for production, local for development
 const NEUROLINK_PACKAGE =
@@ -48,20 +157,6 @@ const ALL_PROVIDERS = [
   "ollama",
 ];
 
-// Default model mappings for each provider
-const DEFAULT_MODELS = {
-  openai: "gpt-4o",
-  bedrock:
-    "arn:aws:bedrock:us-east-2:225681119357:inference-profile/us.anthropic.claude-3-7-sonnet-20250219-v1:0",
-  vertex: "gemini-2.5-pro",
-  "google-ai": "gemini-2.5-pro",
-  anthropic: "claude-3-5-sonnet-20241022",
-  azure: "gpt-4o",
-  huggingface: "microsoft/DialoGPT-medium",
-  ollama: "llama3.2:latest",
-  mistral: "mistral-small",
-};
-
 // Environment variable mappings for provider configuration
 const PROVIDER_ENV_VARS = {
   openai: ["OPENAI_API_KEY"],
@@ -79,6 +174,9 @@ const PROVIDER_ENV_VARS = {
   mistral: ["MISTRAL_API_KEY"],
 };
 
+// Streaming is on unless explicitly disabled
+const STREAMING_ENABLED = process.env.ENABLE_STREAMING !== "false";
+
 // Common generation parameters
 const DEFAULT_GENERATION_PARAMS = {
   maxTokens: 500,
@@ -94,26 +192,71 @@ app.use(cors());
 app.use(express.json({ limit: "10mb" }));
 app.use(express.static("public"));
 
-// In-memory usage statistics
+// In-memory API request statistics (generation usage is in usage-tracker.js)
 const usageStats = {
   requests: 0,
-  providers: {},
   errors: 0,
-  totalTokens: 0,
 };
 
 /**
  * Request logging middleware
- * Logs all incoming requests and updates usage statistics
+ * Logs all incoming requests and counts API requests
  */
 const logRequest = (req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
-  usageStats.requests++;
+  if (req.path.startsWith("/api/")) {
+    usageStats.requests++;
+  }
   next();
 };
 
 app.use(logRequest);
 
+// Overall deadline for a single API request (ms)
+const REQUEST_TIMEOUT_MS =
+  parseInt(process.env.REQUEST_TIMEOUT_MS, 10) || 60000;
+
+// Deadlines for routes that call every provider in turn (ms), keyed by path under /api
+const ROUTE_TIMEOUTS_MS = {
+  "/benchmark": parseInt(process.env.BENCHMARK_TIMEOUT_MS, 10) || 600000,
+};
+
+/**
+ * Request cancellation middleware
+ * Attaches req.abortSignal, which aborts when the client disconnects or the
+ * request deadline passes, so abandoned requests stop calling providers.
+ * A timeout in the body can shorten the deadline but not extend it
+ */
+const attachAbortSignal = (req, res, next) => {
+  const controller = new AbortController();
+  const maxTimeoutMs = ROUTE_TIMEOUTS_MS[req.path] || REQUEST_TIMEOUT_MS;
+  const requestedMs = Number(req.body?.timeout);
+  const timeoutMs =
+    Number.isSafeInteger(requestedMs) && requestedMs > 0
+      ? Math.min(requestedMs, maxTimeoutMs)
+      : maxTimeoutMs;
+
+  const timer = setTimeout(() => {
+    controller.abort(
+      new TimeoutError(`Request deadline of ${timeoutMs}ms exceeded`),
+    );
+  }, timeoutMs);
+
+  // "close" on the response fires on both completion and client disconnect
+  res.on("close", () => {
+    clearTimeout(timer);
+    if (!res.writableFinished && !controller.signal.aborted) {
+      console.log(`[Cancel] Client disconnected: ${req.method} ${req.path}`);
+      controller.abort(new RequestCancelledError("Client disconnected"));
+    }
+  });
+
+  req.abortSignal = controller.signal;
+  next();
+};
+
+app.use("/api", attachAbortSignal);
+
 // ================================
 // HELPER FUNCTIONS
 // ================================
@@ -124,10 +267,55 @@ app.use(logRequest);
  * @returns {string} Model identifier
  */
 function getModelForProvider(provider) {
-  const envVar = `${provider.toUpperCase().replace("-", "_")}_MODEL`;
-  return (
-    process.env[envVar] || DEFAULT_MODELS[provider] || DEFAULT_MODELS.openai
-  );
+  const configured = process.env[getModelEnvVar(provider)];
+  if (configured) {
+    return configured;
+  }
+
+  // Local providers can only serve installed models
+  const defaultModel = DEFAULT_MODELS[provider] || DEFAULT_MODELS.openai;
+  const installed = getDiscoveredModels(provider);
+  if (installed?.length > 0 && !installed.some((m) => m.id === defaultModel)) {
+    return installed[0].id;
+  }
+  return defaultModel;
+}
+
+/**
+ * Get the model to use for a provider during one request
+ * A per-request model only applies to the provider it was validated for;
+ * fallback providers keep their configured model
+ * @param {string} provider - Provider name
+ * @param {Object} [requestedModel] - Requested model ({ provider, id })
+ * @returns {string} Model identifier
+ */
+function resolveModel(provider, requestedModel) {
+  return requestedModel?.provider === provider
+    ? requestedModel.id
+    : getModelForProvider(provider);
+}
+
+/**
+ * Validate a per-request model and work out which provider serves it
+ * In auto mode the model picks the provider, preferring configured ones
+ * @param {string} provider - Requested provider ('auto' to infer from the model)
+ * @param {string} model - Requested model
+ * @param {Object} requirements - Output of getRequestRequirements()
+ * @returns {string} Provider to send the request to
+ * @throws {ModelNotFoundError} If no provider offers the model
+ * @throws {ValidationError} If the model cannot serve the request
+ */
+function resolveModelProvider(provider, model, requirements) {
+  if (provider === "auto") {
+    const owners = findProvidersForModel(model);
+    if (owners.length === 0) {
+      throw new ModelNotFoundError(`Unknown model: ${model}`);
+    }
+    provider = owners.find((p) => isProviderConfigured(p)) || owners[0];
+  }
+
+  validateModelSelection(provider, model, requirements);
+  return provider;
 }
 
 /**
@@ -137,8 +325,9 @@ function getModelForProvider(provider) {
  */
 function isProviderConfigured(provider) {
   if (provider === "ollama") {
-    return true;
-  } // Always available if installed
+    // Usable once discovery has found at least one installed model
+    return getDiscoveredModels("ollama")?.length > 0;
+  }
 
   const requiredVars = PROVIDER_ENV_VARS[provider] || [];
 
@@ -168,14 +357,17 @@ function createSuccessResponse(data, metadata = {}) {
 
 /**
  * Create a standardized error response
- * @param {string} error - Error message
+ * @param {Error|string} error - Typed error (or plain message)
  * @param {Object} context - Additional error context
- * @returns {Object} Formatted error response
+ * @returns {Object} Formatted error response with a stable error code
  */
 function createErrorResponse(error, context = {}) {
+  const isError = error instanceof Error;
   return {
     success: false,
-    error: error,
+    error: isError ? error.message : error,
+    code: (isError && error.code) || "INTERNAL_ERROR",
+    ...(error instanceof AppError ? error.details : {}),
     ...context,
     timestamp: new Date().toISOString(),
   };
@@ -193,32 +385,121 @@ function asyncHandler(fn) {
 }
 
 /**
- * Update usage statistics with token information
- * @param {Object} usage - Usage data from AI provider
+ * Refresh the list of models installed on the Ollama server
+ * @returns {Promise<boolean>} True if Ollama is accessible
+ */
+async function discoverOllamaModels() {
+  try {
+    setDiscoveredModels("ollama", await listOllamaModels());
+    return true;
+  } catch (error) {
+    console.log("[Ollama] Model discovery failed:", error.message);
+    setDiscoveredModels("ollama", null);
+    return false;
+  }
+}
+
+// Timeout for a single provider health check (ms)
+const HEALTH_CHECK_TIMEOUT_MS =
+  parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 10000;
+
+// Time between billed generation probes of one provider (ms); 0 disables them
+const GENERATION_PROBE_INTERVAL_MS = parseInt(
+  process.env.HEALTH_CHECK_GENERATION_INTERVAL_MS ?? "21600000",
+  10,
+);
+
+// When each provider last passed a generation probe (ms timestamp)
+const lastGenerationProbe = {};
+
+// Free model-listing (or account) endpoints used to verify credentials
+// without running a billable generation
+const MODEL_LIST_ENDPOINTS = {
+  openai: () => ({
+    url: "https://api.openai.com/v1/models",
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+  }),
+  anthropic: () => ({
+    url: "https://api.anthropic.com/v1/models",
+    headers: {
+      "x-api-key": process.env.ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01",
+    },
+  }),
+  "google-ai": () => ({
+    url: `https://generativelanguage.googleapis.com/v1beta/models?key=${encodeURIComponent(process.env.GOOGLE_AI_API_KEY)}`,
+    headers: {},
+  }),
+  mistral: () => ({
+    url: "https://api.mistral.ai/v1/models",
+    headers: { Authorization: `Bearer ${process.env.MISTRAL_API_KEY}` },
+  }),
+  azure: () => ({
+    url: `${process.env.AZURE_OPENAI_ENDPOINT?.replace(/\/$/, "")}/openai/models?api-version=2024-10-21`,
+    headers: { "api-key": process.env.AZURE_OPENAI_API_KEY },
+  }),
+  huggingface: () => ({
+    url: "https://huggingface.co/api/whoami-v2",
+    headers: { Authorization: `Bearer ${process.env.HUGGINGFACE_API_KEY}` },
+  }),
+};
+
+/**
+ * Verify a provider's credentials with a free model-listing request
+ * @param {string} providerName - Provider with an entry in MODEL_LIST_ENDPOINTS
+ * @throws {Error} Error carrying the HTTP status if the request fails
  */
-function updateUsageStats(usage) {
-  if (usage && usage.totalTokens) {
-    usageStats.totalTokens += usage.totalTokens;
+async function listProviderModels(providerName) {
+  const { url, headers } = MODEL_LIST_ENDPOINTS[providerName]();
+  const response = await fetch(url, {
+    method: "GET",
+    headers,
+    signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw Object.assign(
+      new Error(`${response.status} ${response.statusText}`),
+      { statusCode: response.status },
+    );
   }
 }
 
 /**
- * Test if Ollama is actually running
- * @returns {Promise<boolean>} True if Ollama is accessible
+ * Verify a provider with a minimal generation
+ * Only used for providers without a free listing endpoint (Bedrock, Vertex).
+ * Each probe is billed, so a passed probe is reused until
+ * GENERATION_PROBE_INTERVAL_MS has elapsed; failed probes are not reused
+ * @param {string} providerName - Provider name
+ * @returns {Promise<number>} When the probe that is being reported ran (ms timestamp)
  */
-async function testOllamaConnection() {
-  try {
-    const response = await fetch("http://localhost:11434/api/tags", {
-      method: "GET",
-      signal: AbortSignal.timeout(2000), // 2 second timeout
-    });
-    return response.ok;
-  } catch (error) {
-    console.log("[Ollama] Connection test failed:", error.message);
-    return false;
+async function probeProviderGeneration(providerName) {
+  const lastProbe = lastGenerationProbe[providerName];
+  if (lastProbe && Date.now() - lastProbe < GENERATION_PROBE_INTERVAL_MS) {
+    return lastProbe;
   }
+
+  const provider = await createAIProvider(providerName);
+  await provider.generate({
+    prompt: "Hi",
+    model: getModelForProvider(providerName),
+    maxTokens: 5, // Minimal tokens to reduce cost
+    temperature: 0.1,
+    timeout: HEALTH_CHECK_TIMEOUT_MS,
+  });
+  lastGenerationProbe[providerName] = Date.now();
+  return lastGenerationProbe[providerName];
 }
 
+// Friendly status messages for provider availability checks, keyed by error code
+const PROVIDER_STATUS_MESSAGES = {
+  AUTH_ERROR: "Invalid API key or authentication failed",
+  MODEL_NOT_FOUND: "Model or endpoint not found",
+  RATE_LIMITED: "Rate limit exceeded",
+  TIMEOUT: "Connection failed - service may be down",
+  PROVIDER_UNAVAILABLE: "Connection failed - service may be down",
+};
+
 /**
  * Test a single provider's availability
  * @param {string} providerName - Name of the provider to test
@@ -230,18 +511,27 @@ async function testProviderAvailability(providerName) {
     configured: false,
     authenticated: false,
     model: getModelForProvider(providerName),
+    checkMethod: MODEL_LIST_ENDPOINTS[providerName]
+      ? "model-list"
+      : "generation",
     error: null,
   };
 
   // Special handling for Ollama
   if (providerName === "ollama") {
-    const isRunning = await testOllamaConnection();
-    result.configured = isRunning;
-    result.available = isRunning;
+    result.checkMethod = "model-list";
+    const isRunning = await discoverOllamaModels();
+    const installedModels = getDiscoveredModels("ollama")?.length || 0;
+    result.configured = installedModels > 0;
+    result.available = installedModels > 0;
     result.authenticated = isRunning;
+    result.model = getModelForProvider("ollama");
+    result.installedModels = installedModels;
     if (!isRunning) {
+      result.error = `Ollama is not running at ${OLLAMA_BASE_URL}. Please start Ollama with: ollama serve`;
+    } else if (installedModels === 0) {
       result.error =
-        "Ollama is not running. Please start Ollama with: ollama serve";
+        "No Ollama models installed. Pull one with POST /api/ollama/models";
     }
     return result;
   }
@@ -255,18 +545,25 @@ async function testProviderAvailability(providerName) {
     return result;
   }
 
-  // Try to create provider and test with a simple request
-  try {
-    const provider = await createAIProvider(providerName);
+  // Without a free endpoint or billed probes, credentials cannot be checked
+  if (
+    !MODEL_LIST_ENDPOINTS[providerName] &&
+    GENERATION_PROBE_INTERVAL_MS <= 0
+  ) {
+    result.checkMethod = "none";
+    result.available = true;
+    result.authenticated = null;
+    return result;
+  }
 
-    // Try a minimal test request to verify authentication
-    const testPrompt = "Hi";
-    const testResult = await provider.generate({
-      prompt: testPrompt,
-      model: getModelForProvider(providerName),
-      maxTokens: 5, // Minimal tokens to reduce cost
-      temperature: 0.1,
-    });
+  // Prefer a free listing call, fall back to a minimal generation
+  try {
+    if (MODEL_LIST_ENDPOINTS[providerName]) {
+      await listProviderModels(providerName);
+    } else {
+      const probedAt = await probeProviderGeneration(providerName);
+      result.probedAt = new Date(probedAt).toISOString();
+    }
 
     // If we got here without throwing, the provider is authenticated
     result.available = true;
@@ -275,52 +572,61 @@ async function testProviderAvailability(providerName) {
     result.available = false;
     result.authenticated = false;
 
-    // Parse error message to determine if it's auth or other issue
-    const errorMsg = error.message || String(error);
+    // Classify the error to determine if it's auth or other issue
+    const typedError = classifyProviderError(error);
 
-    if (
-      errorMsg.includes("401") ||
-      errorMsg.includes("Unauthorized") ||
-      errorMsg.includes("Invalid API") ||
-      errorMsg.includes("Authentication") ||
-      errorMsg.includes("API key") ||
-      errorMsg.includes("not authorized")
-    ) {
-      result.error = "Invalid API key or authentication failed";
-    } else if (errorMsg.includes("404") || errorMsg.includes("not found")) {
-      result.error = "Model or endpoint not found";
-    } else if (errorMsg.includes("429") || errorMsg.includes("rate limit")) {
-      result.error = "Rate limit exceeded";
+    result.error =
+      PROVIDER_STATUS_MESSAGES[typedError.code] || typedError.message;
+    result.errorCode = typedError.code;
+
+    if (typedError instanceof RateLimitError) {
       result.authenticated = true; // Auth is OK, just rate limited
-    } else if (
-      errorMsg.includes("timeout") ||
-      errorMsg.includes("ECONNREFUSED")
-    ) {
-      result.error = "Connection failed - service may be down";
-    } else {
-      result.error = errorMsg;
     }
   }
 
   return result;
 }
 
+// Let the model check provider health with the same logic as /api/status
+registerLocalTool({
+  name: "check-provider-status",
+  description:
+    "Check whether AI providers are configured and reachable, for one provider or all of them",
+  inputSchema: {
+    type: "object",
+    properties: {
+      provider: {
+        type: "string",
+        enum: ALL_PROVIDERS,
+        description: "Provider to check (default: all providers)",
+      },
+    },
+  },
+  execute: async ({ provider }) => {
+    if (provider) {
+      return { [provider]: await testProviderAvailability(provider) };
+    }
+    const { providers } = await refreshProviderHealth();
+    return providers;
+  },
+});
+
 /**
- * Generate AI content with standardized parameters and automatic fallback
- * @param {string} providerName - Provider to use ('auto' for smart fallback)
- * @param {string} prompt - Text prompt
- * @param {Object} options - Generation options (includes timeout)
- * @returns {Object} Generation result with timing and usage info
+ * Build the ordered list of providers to try for a generation request
+ * @param {string} providerName - Requested provider ('auto' for smart fallback)
+ * @param {string} [routingPolicy] - Routing policy used to order providers
+ * @returns {string[]} Provider names in the order they should be attempted
  */
-async function generateWithProvider(providerName, prompt, options = {}) {
-  const startTime = Date.now();
-
-  // Determine provider list to try
+function getProvidersToTry(providerName, routingPolicy) {
   let providersToTry = [];
 
   if (providerName === "auto") {
-    // Use all providers in priority order for automatic fallback
-    providersToTry = ALL_PROVIDERS.filter((p) => isProviderConfigured(p));
+    // Order all configured providers using the routing policy
+    providersToTry = orderProviders(
+      ALL_PROVIDERS.filter((p) => isProviderConfigured(p)),
+      routingPolicy,
+      { getModel: getModelForProvider },
+    );
     console.log(
       `[Generate] Auto mode: Will try providers in order: ${providersToTry.join(", ")}`,
     );
@@ -328,8 +634,12 @@ async function generateWithProvider(providerName, prompt, options = {}) {
     // For specific provider, try it first, then fallback to others if enabled
     providersToTry = [providerName];
     if (process.env.ENABLE_FALLBACK !== "false") {
-      const fallbackProviders = ALL_PROVIDERS.filter(
-        (p) => p !== providerName && isProviderConfigured(p),
+      const fallbackProviders = orderProviders(
+        ALL_PROVIDERS.filter(
+          (p) => p !== providerName && isProviderConfigured(p),
+        ),
+        routingPolicy,
+        { getModel: getModelForProvider },
       );
       providersToTry = [...providersToTry, ...fallbackProviders];
       console.log(
@@ -338,69 +648,1038 @@ async function generateWithProvider(providerName, prompt, options = {}) {
     }
   }
 
-  const errors = [];
+  return providersToTry;
+}
+
+/**
+ * Work out what a request needs from a provider's model
+ * Structured output needs JSON support, tools need tool calling, and the
+ * prompt plus output budget must fit in the context window
+ * @param {string} prompt - Text prompt
+ * @param {Object} options - Generation options
+ * @param {string[]} [options.requiredCapabilities] - Capabilities requested explicitly
+ * @param {Object} [options.schema] - Structured output schema
+ * @param {Array} [options.tools] - Tools offered to the model
+ * @param {string[]} [impliedCapabilities] - Capabilities implied by the call path
+ * @returns {Object} Required capabilities and estimated context tokens
+ */
+function getRequestRequirements(
+  prompt,
+  { requiredCapabilities = [], schema, tools, systemPrompt, maxTokens } = {},
+  impliedCapabilities = [],
+) {
+  const capabilities = new Set([
+    ...requiredCapabilities,
+    ...impliedCapabilities,
+  ]);
+  if (schema) {
+    capabilities.add("json");
+  }
+  if (tools?.length) {
+    capabilities.add("tools");
+  }
+
+  return {
+    capabilities: [...capabilities],
+    contextTokens:
+      estimateTokens(`${systemPrompt || ""}${prompt}`) +
+      (maxTokens || DEFAULT_GENERATION_PARAMS.maxTokens),
+  };
+}
+
+/**
+ * Drop providers whose model cannot serve the request
+ * @param {string[]} providers - Providers in fallback order
+ * @param {Object} requirements - Output of getRequestRequirements()
+ * @param {Object} [requestedModel] - Per-request model selection
+ * @returns {Object} Capable providers and the skipped ones with reasons
+ * @throws {ValidationError} If no provider can serve the request
+ */
+function filterCapableProviders(providers, requirements, requestedModel) {
+  const capable = [];
+  const skippedProviders = [];
+
+  for (const provider of providers) {
+    const model = resolveModel(provider, requestedModel);
+    const entry = findModel(provider, model);
+    const unmet = entry && getUnmetRequirements(entry, requirements);
+
+    if (unmet) {
+      skippedProviders.push({ provider, model, ...unmet });
+      console.log(`[Generate] Skipping ${provider}: ${unmet.reason}`);
+    } else {
+      capable.push(provider);
+    }
+  }
+
+  if (providers.length > 0 && capable.length === 0) {
+    throw new ValidationError(
+      "No configured provider supports the requested capabilities",
+      {
+        details: {
+          requiredCapabilities: requirements.capabilities,
+          skippedProviders,
+        },
+      },
+    );
+  }
+
+  return { capable, skippedProviders };
+}
+
+/**
+ * Build a trace entry describing one provider attempt
+ * @param {string} provider - Provider name
+ * @param {number} attemptStart - Attempt start timestamp (ms)
+ * @param {Object} outcome - Attempt outcome
+ * @param {string} outcome.status - "success", "failed", "skipped" or "aborted"
+ * @param {Error} [outcome.error] - Error for failed attempts
+ * @param {string} [outcome.model] - Model used for the attempt
+ * @returns {Object} Attempt record
+ */
+function createAttemptRecord(provider, attemptStart, { status, error, model }) {
+  const typedError = error ? classifyProviderError(error) : null;
+  return {
+    provider,
+    model: model || getModelForProvider(provider),
+    status,
+    durationMs: Date.now() - attemptStart,
+    errorCode: typedError?.code || null,
+    error: typedError?.message || null,
+  };
+}
+
+/**
+ * Attach an estimated cost to an attempt that ended without reported usage
+ * An abandoned call is still billed for what it processed, so its tokens
+ * are estimated from the text sent and the text received
+ * @param {Object} record - Attempt record
+ * @param {Object} text - Text of the attempt
+ * @param {string} text.prompt - Prompt sent, including the system prompt
+ * @param {string} [text.completion] - Text received before the attempt ended
+ * @param {number} [text.promptTokens] - Known prompt token count, used instead of estimating
+ * @returns {Object} Attempt record with estimated usage and cost
+ */
+function withEstimatedCost(record, { prompt, completion = "", promptTokens }) {
+  const usage = {
+    promptTokens: promptTokens || estimateTokens(prompt),
+    completionTokens: estimateTokens(completion),
+  };
+  usage.totalTokens = usage.promptTokens + usage.completionTokens;
+  return {
+    ...record,
+    usage,
+    usageEstimated: true,
+    cost: estimateCost(record.provider, record.model, usage),
+  };
+}
+
+/**
+ * Build a trace entry for a provider skipped by its circuit breaker
+ * @param {string} provider - Provider name
+ * @param {string} [model] - Model that would have been used
+ * @returns {Object} Attempt record
+ */
+function createSkippedAttemptRecord(provider, model) {
+  return {
+    ...createAttemptRecord(provider, Date.now(), { status: "skipped", model }),
+    errorCode: "CIRCUIT_OPEN",
+    error: "Circuit breaker is open",
+  };
+}
+
+/**
+ * Summarize attempts into a fallback-chain failure
+ * @param {Object[]} attempts - Attempt records
+ * @param {Object[]} [skippedProviders] - Providers filtered out by capability
+ * @returns {AllProvidersFailedError} Error carrying the attempt trace
+ */
+function createAllProvidersFailedError(attempts, skippedProviders = []) {
+  const lastAttempt = attempts[attempts.length - 1];
+  const lastError = lastAttempt?.error || "No configured providers available";
+
+  return new AllProvidersFailedError(
+    `Failed after ${attempts.length} attempts. Last error: ${lastError}`,
+    {
+      details: {
+        lastErrorCode: lastAttempt?.errorCode || null,
+        attempts,
+        skippedProviders,
+      },
+    },
+  );
+}
+
+/**
+ * Reject as soon as an abort signal fires, even if the provider ignores it
+ * @param {Promise} promise - Provider call
+ * @param {AbortSignal} [abortSignal] - Request cancellation signal
+ * @returns {Promise} Provider result, or the abort reason
+ */
+function raceWithAbort(promise, abortSignal) {
+  if (!abortSignal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortSignal.reason);
+    if (abortSignal.aborted) {
+      onAbort();
+      return;
+    }
+
+    abortSignal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => abortSignal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Stop walking the fallback chain once the request is cancelled or past its deadline
+ * @param {AbortSignal} [abortSignal] - Request cancellation signal
+ * @param {Object[]} attempts - Attempt trace to attach to the error
+ */
+function throwIfRequestAborted(abortSignal, attempts) {
+  if (!abortSignal?.aborted) {
+    return;
+  }
+
+  const reason = abortSignal.reason;
+  if (reason instanceof AppError) {
+    reason.details = { ...reason.details, attempts };
+  }
+  throw reason;
+}
+
+/**
+ * Call a single provider, retrying rate limits and transient failures
+ * @param {string} provider - Provider name
+ * @param {string} prompt - Text prompt
+ * @param {Object} generationOptions - Options forwarded to the provider
+ * @param {Object} [control] - Model, retry and cancellation settings
+ * @param {string} [control.model] - Model to call (defaults to the configured model)
+ * @param {number} [control.maxRetries] - Override for the configured retry count
+ * @param {AbortSignal} [control.abortSignal] - Signal used to cancel the call
+ * @returns {Object} Raw provider result
+ */
+async function callProvider(
+  provider,
+  prompt,
+  generationOptions,
+  { model, maxRetries, abortSignal } = {},
+) {
+  const aiProvider = await createAIProvider(provider);
+
+  // Retry rate limits and transient failures on the same provider first
+  const result = await withRetry(
+    () =>
+      raceWithAbort(
+        aiProvider.generate({
+          prompt,
+          model: model || getModelForProvider(provider),
+          maxTokens:
+            generationOptions.maxTokens || DEFAULT_GENERATION_PARAMS.maxTokens,
+          temperature:
+            generationOptions.temperature ||
+            DEFAULT_GENERATION_PARAMS.temperature,
+          timeout: generationOptions.timeout, // Pass through timeout option
+          abortSignal,
+          ...generationOptions,
+        }),
+        abortSignal,
+      ),
+    { label: provider, maxRetries, abortSignal },
+  );
+
+  if (!result || !result.text) {
+    throw new Error("Provider returned null or invalid response");
+  }
+
+  return result;
+}
+
+/**
+ * Race a primary provider against a delayed backup provider
+ * The backup fires if the primary has not answered within the hedge delay
+ * (or immediately if the primary fails). The first good response wins and
+ * the other request is aborted.
+ * @param {string[]} hedgeProviders - Primary and backup provider names
+ * @param {string} prompt - Text prompt
+ * @param {Object} generationOptions - Options forwarded to the provider
+ * @param {Object} control - Hedge settings
+ * @param {number} control.hedgeDelay - Delay before firing the backup (ms)
+ * @param {Object} [control.requestedModel] - Per-request model selection
+ * @param {number} [control.maxRetries] - Override for the configured retry count
+ * @param {AbortSignal} [control.abortSignal] - Request cancellation signal
+ * @param {Object[]} control.attempts - Attempt trace to append to
+ * @returns {Promise<Object>} Winning provider, result and hedge summary
+ */
+function raceHedgedProviders(
+  [primary, backup],
+  prompt,
+  generationOptions,
+  { hedgeDelay, requestedModel, maxRetries, abortSignal, attempts },
+) {
+  const inFlight = {};
+  let settled = false;
+  let failures = 0;
+  let timer;
+
+  return new Promise((resolve, reject) => {
+    const launch = (provider) => {
+      const controller = new AbortController();
+      const attemptStart = Date.now();
+      const model = resolveModel(provider, requestedModel);
+      inFlight[provider] = { controller, attemptStart, model };
+
+      // Cancelling the request cancels both hedged calls
+      abortSignal?.addEventListener(
+        "abort",
+        () => controller.abort(abortSignal.reason),
+        { once: true },
+      );
+
+      console.log(`[Hedge] Firing ${provider}`);
+
+      callProvider(provider, prompt, generationOptions, {
+        model,
+        maxRetries,
+        abortSignal: controller.signal,
+      }).then(
+        (result) => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          clearTimeout(timer);
+
+          recordProviderLatency(provider, Date.now() - attemptStart);
+          recordProviderSuccess(provider);
+          attempts.push(
+            createAttemptRecord(provider, attemptStart, {
+              status: "success",
+              model: result.model || model,
+            }),
+          );
+
+          // Abort the losing request so it stops consuming tokens. It was
+          // still billed at least for its prompt, which is priced as an estimate
+          const loser = provider === primary ? backup : primary;
+          let loserRecord = null;
+          if (inFlight[loser]) {
+            inFlight[loser].controller.abort();
+            loserRecord = withEstimatedCost(
+              createAttemptRecord(loser, inFlight[loser].attemptStart, {
+                status: "aborted",
+                model: inFlight[loser].model,
+              }),
+              {
+                prompt: `${generationOptions.systemPrompt || ""}${prompt}`,
+                promptTokens: result.usage?.promptTokens,
+              },
+            );
+            attempts.push(loserRecord);
+            console.log(`[Hedge] ${provider} won, aborted ${loser}`);
+          }
+
+          resolve({
+            provider,
+            result,
+            attemptStart,
+            hedge: {
+              triggered: !!inFlight[backup],
+              delayMs: hedgeDelay,
+              winner: provider,
+              loser: loserRecord ? loser : null,
+              extraTokens: loserRecord?.usage.totalTokens || 0,
+              extraTokensEstimated: true,
+              extraCost: loserRecord ? loserRecord.cost.totalCost : 0,
+            },
+          });
+        },
+        (error) => {
+          if (settled) {
+            return;
+          }
+
+          if (abortSignal?.aborted) {
+            settled = true;
+            clearTimeout(timer);
+            reject(abortSignal.reason);
+            return;
+          }
+
+          const errorMsg = error.message || String(error);
+          delete inFlight[provider];
+          failures++;
+          attempts.push(
+            createAttemptRecord(provider, attemptStart, {
+              status: "failed",
+              error,
+              model,
+            }),
+          );
+          recordProviderFailure(provider, error);
+          console.log(`[Hedge] ${provider} failed: ${errorMsg}`);
+
+          if (provider === primary && failures === 1 && !inFlight[backup]) {
+            // Primary failed before the hedge delay, fire the backup now
+            clearTimeout(timer);
+            launch(backup);
+          } else if (Object.keys(inFlight).length === 0) {
+            settled = true;
+            reject(error);
+          }
+        },
+      );
+    };
+
+    launch(primary);
+    timer = setTimeout(() => {
+      if (!settled && !inFlight[backup] && failures === 0) {
+        console.log(
+          `[Hedge] ${primary} has not answered in ${hedgeDelay}ms, hedging`,
+        );
+        launch(backup);
+      }
+    }, hedgeDelay);
+  });
+}
+
+/**
+ * Record a finished generation in the usage accounting
+ * Cache hits are not recorded because no provider was called
+ * @param {string} [endpoint] - Calling endpoint
+ * @param {number} startTime - Generation start timestamp (ms)
+ * @param {Object} outcome - Generation result, or { error } if it failed
+ */
+function recordGenerationUsage(endpoint, startTime, { error, ...result }) {
+  if (result.cache?.hit) {
+    return;
+  }
+  // Errors thrown before any provider was considered carry no trace
+  const attempts = error ? error.details?.attempts : result.attempts;
+  if (!Array.isArray(attempts)) {
+    return;
+  }
+
+  recordGeneration({
+    endpoint,
+    status: !error
+      ? "success"
+      : error instanceof RequestCancelledError || error instanceof TimeoutError
+        ? "aborted"
+        : "failed",
+    durationMs: Date.now() - startTime,
+    attempts,
+    usage: error ? null : result.usage,
+    cost: error ? null : result.cost,
+  });
+}
+
+/**
+ * Attach the estimated cost to a generation result
+ * A response cache hit did not call a provider, so it costs nothing
+ * @param {Object} result - Generation result
+ * @returns {Object} Result with cost
+ */
+function withCost(result) {
+  return {
+    ...result,
+    cost: result.cache?.hit
+      ? sumCosts([])
+      : estimateCost(result.provider, result.model, result.usage),
+  };
+}
+
+/**
+ * Generate AI content with standardized parameters and automatic fallback
+ * @param {string} providerName - Provider to use ('auto' for smart fallback)
+ * @param {string} prompt - Text prompt
+ * @param {Object} options - Generation options (includes timeout, model, requiredCapabilities, routingPolicy, maxRetries, hedge, abortSignal, cache, endpoint)
+ * @returns {Object} Generation result with timing, usage, cost, cache info and per-attempt trace
+ */
+async function generateWithProvider(providerName, prompt, options = {}) {
+  const startTime = Date.now();
+  const { endpoint, ...generationOptions } = options;
+
+  try {
+    const result = withCost(
+      await generateWithFallback(providerName, prompt, generationOptions),
+    );
+    recordGenerationUsage(endpoint, startTime, result);
+    return result;
+  } catch (error) {
+    recordGenerationUsage(endpoint, startTime, { error });
+    throw error;
+  }
+}
+
+/**
+ * Walk the fallback chain for generateWithProvider
+ * @param {string} providerName - Provider to use ('auto' for smart fallback)
+ * @param {string} prompt - Text prompt
+ * @param {Object} options - Generation options without endpoint
+ * @returns {Object} Generation result
+ */
+async function generateWithFallback(providerName, prompt, options = {}) {
+  const startTime = Date.now();
+  const {
+    model,
+    requiredCapabilities,
+    routingPolicy,
+    maxRetries,
+    hedge,
+    abortSignal,
+    cache,
+    ...generationOptions
+  } = options;
+
+  // Answer repeated requests from the response cache when it is enabled
+  assertValidCacheMode(cache);
+  const cacheKey = buildCacheKey({
+    provider: providerName,
+    model,
+    prompt,
+    systemPrompt: generationOptions.systemPrompt,
+    temperature:
+      generationOptions.temperature || DEFAULT_GENERATION_PARAMS.temperature,
+    maxTokens:
+      generationOptions.maxTokens || DEFAULT_GENERATION_PARAMS.maxTokens,
+    schema: generationOptions.schema,
+  });
+  const cached = getCachedResponse(cacheKey, cache);
+  if (cached) {
+    console.log(`[Cache] Hit for ${providerName} (${cacheKey.slice(0, 12)})`);
+    return {
+      ...cached.result,
+      responseTime: Date.now() - startTime,
+      attemptedProviders: 0,
+      fallbackUsed: false,
+      attempts: [],
+      skippedProviders: [],
+      cache: {
+        hit: true,
+        key: cacheKey,
+        cachedAt: new Date(cached.cachedAt).toISOString(),
+        expiresAt: new Date(cached.expiresAt).toISOString(),
+      },
+    };
+  }
+
+  const providersToTry = getProvidersToTry(providerName, routingPolicy);
+  const requestedModel = model ? { provider: providerName, id: model } : null;
+  const { capable, skippedProviders } = filterCapableProviders(
+    providersToTry,
+    getRequestRequirements(prompt, {
+      ...generationOptions,
+      requiredCapabilities,
+    }),
+    requestedModel,
+  );
+  const attempts = [];
+  const clearedProviders = new Set(); // Circuit breaker already consulted
+  let remainingProviders = capable;
+
+  /**
+   * Record a successful attempt and build the generation result
+   */
+  const buildResult = (currentProvider, result, extra = {}) => {
+    const responseTime = Date.now() - startTime;
+
+    console.log(
+      `[Generate] Success with ${currentProvider} in ${responseTime}ms`,
+    );
+
+    const replay = {
+      content: result.text,
+      object: result.object,
+      provider: currentProvider,
+      model: result.model || resolveModel(currentProvider, requestedModel),
+      usage: result.usage,
+    };
+    const stored = setCachedResponse(cacheKey, replay, cache);
+
+    return {
+      ...replay,
+      responseTime,
+      cache: {
+        hit: false,
+        key: cacheKey,
+        mode: cache ?? null,
+        stored: !!stored,
+      },
+      attemptedProviders: attempts.length,
+      fallbackUsed: currentProvider !== providersToTry[0],
+      attempts,
+      skippedProviders,
+      ...extra,
+    };
+  };
+
+  // Hedge the first two available providers for latency-critical requests
+  if (hedge) {
+    const hedgeProviders = [];
+    while (hedgeProviders.length < 2 && remainingProviders.length > 0) {
+      const [candidate, ...rest] = remainingProviders;
+      remainingProviders = rest;
+
+      if (canAttemptProvider(candidate)) {
+        hedgeProviders.push(candidate);
+      } else {
+        attempts.push(
+          createSkippedAttemptRecord(
+            candidate,
+            resolveModel(candidate, requestedModel),
+          ),
+        );
+      }
+    }
+
+    if (hedgeProviders.length === 2) {
+      const hedgeDelay =
+        hedge.delayMs || parseInt(process.env.HEDGE_DELAY_MS, 10) || 1000;
+
+      try {
+        const winner = await raceHedgedProviders(
+          hedgeProviders,
+          prompt,
+          generationOptions,
+          { hedgeDelay, requestedModel, maxRetries, abortSignal, attempts },
+        );
+        return buildResult(winner.provider, winner.result, {
+          hedge: winner.hedge,
+        });
+      } catch (error) {
+        console.log(`[Generate] Hedged providers failed, continuing fallback`);
+      }
+    } else {
+      // Not enough providers to hedge, try them sequentially
+      hedgeProviders.forEach((p) => clearedProviders.add(p));
+      remainingProviders = [...hedgeProviders, ...remainingProviders];
+    }
+  }
 
   // Try each provider in sequence until one succeeds
-  for (let i = 0; i < providersToTry.length; i++) {
-    const currentProvider = providersToTry[i];
+  for (let i = 0; i < remainingProviders.length; i++) {
+    const currentProvider = remainingProviders[i];
+    const currentModel = resolveModel(currentProvider, requestedModel);
+    const attemptStart = Date.now();
+
+    throwIfRequestAborted(abortSignal, attempts);
+
+    // Skip providers whose circuit breaker is open
+    if (
+      !clearedProviders.has(currentProvider) &&
+      !canAttemptProvider(currentProvider)
+    ) {
+      attempts.push(createSkippedAttemptRecord(currentProvider, currentModel));
+      console.log(`[Generate] Skipping ${currentProvider}: circuit open`);
+      continue;
+    }
 
     try {
       console.log(
-        `[Generate] Attempting provider: ${currentProvider} (${i + 1}/${providersToTry.length})`,
+        `[Generate] Attempting provider: ${currentProvider} (${i + 1}/${remainingProviders.length})`,
       );
 
-      const aiProvider = await createAIProvider(currentProvider);
-      const result = await aiProvider.generate({
+      const result = await callProvider(
+        currentProvider,
         prompt,
-        model: getModelForProvider(currentProvider),
-        maxTokens: options.maxTokens || DEFAULT_GENERATION_PARAMS.maxTokens,
-        temperature:
-          options.temperature || DEFAULT_GENERATION_PARAMS.temperature,
-        timeout: options.timeout, // Pass through timeout option
-        ...options,
+        generationOptions,
+        { model: currentModel, maxRetries, abortSignal },
+      );
+
+      recordProviderLatency(currentProvider, Date.now() - attemptStart);
+      recordProviderSuccess(currentProvider);
+      attempts.push(
+        createAttemptRecord(currentProvider, attemptStart, {
+          status: "success",
+          model: result.model || currentModel,
+        }),
+      );
+
+      return buildResult(currentProvider, result);
+    } catch (error) {
+      // A cancelled request is not the provider's fault
+      if (abortSignal?.aborted) {
+        attempts.push(
+          createAttemptRecord(currentProvider, attemptStart, {
+            status: "aborted",
+            model: currentModel,
+          }),
+        );
+        throwIfRequestAborted(abortSignal, attempts);
+      }
+
+      const errorMsg = error.message || String(error);
+      attempts.push(
+        createAttemptRecord(currentProvider, attemptStart, {
+          status: "failed",
+          error,
+          model: currentModel,
+        }),
+      );
+      recordProviderFailure(currentProvider, error);
+
+      console.log(`[Generate] ${currentProvider} failed: ${errorMsg}`);
+
+      // Continue to next provider
+      if (i < remainingProviders.length - 1) {
+        console.log(`[Generate] Trying next provider...`);
+      }
+    }
+  }
+
+  // Every provider failed or was skipped, throw the accumulated attempts
+  const failure = createAllProvidersFailedError(attempts, skippedProviders);
+  console.error(`[Generate] All providers failed. ${failure.message}`);
+  throw failure;
+}
+
+/**
+ * Iterate an async stream, failing if no chunk arrives within the stall timeout
+ * @param {AsyncIterable} stream - Provider stream
+ * @param {number} stallTimeoutMs - Maximum wait between chunks
+ * @param {AbortSignal} [abortSignal] - Request cancellation signal
+ * @returns {AsyncGenerator} Chunks from the underlying stream
+ */
+async function* iterateWithStallTimeout(stream, stallTimeoutMs, abortSignal) {
+  const iterator = stream[Symbol.asyncIterator]();
+
+  try {
+    while (true) {
+      let timer;
+      const stalled = new Promise((_, reject) => {
+        timer = setTimeout(
+          () =>
+            reject(
+              new Error(`Stream stalled for more than ${stallTimeoutMs}ms`),
+            ),
+          stallTimeoutMs,
+        );
       });
 
-      const responseTime = Date.now() - startTime;
+      try {
+        const { value, done } = await raceWithAbort(
+          Promise.race([iterator.next(), stalled]),
+          abortSignal,
+        );
+        if (done) {
+          return;
+        }
+        yield value;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  } finally {
+    // Best effort: let the provider release the underlying connection
+    iterator.return?.().catch(() => {});
+  }
+}
+
+/**
+ * Build a prompt asking the next provider to continue a partial answer
+ * @param {string} prompt - Original prompt
+ * @param {string} partialContent - Text already sent to the client
+ * @returns {string} Continuation prompt
+ */
+function buildContinuationPrompt(prompt, partialContent) {
+  return `${prompt}
+
+You are continuing a response that was interrupted. Here is the response so far:
+
+${partialContent}
+
+Continue the response exactly where it left off. Do not repeat any of the text above and do not add any preamble.`;
+}
+
+/**
+ * Stream AI content token-by-token with automatic fallback
+ * If a provider errors or stalls mid-stream, the next provider continues the
+ * answer using the partial text as context, so the client sees one stream
+ * @param {string} providerName - Provider to use ('auto' for smart fallback)
+ * @param {string} prompt - Text prompt
+ * @param {Object} options - Generation options (includes timeout, model, requiredCapabilities, stallTimeout, routingPolicy, maxRetries, abortSignal, endpoint)
+ * @param {Object} handlers - Stream callbacks
+ * @param {Function} handlers.onChunk - Called with each text chunk as it arrives
+ * @param {Function} [handlers.onHandoff] - Called when another provider takes over mid-stream
+ * @returns {Object} Generation result with timing, usage, cost and handoff info
+ */
+async function streamWithProvider(
+  providerName,
+  prompt,
+  options = {},
+  handlers = {},
+) {
+  const startTime = Date.now();
+  const { endpoint, ...generationOptions } = options;
+
+  try {
+    const result = withCost(
+      await streamWithFallback(
+        providerName,
+        prompt,
+        generationOptions,
+        handlers,
+      ),
+    );
+    recordGenerationUsage(endpoint, startTime, result);
+    return result;
+  } catch (error) {
+    recordGenerationUsage(endpoint, startTime, { error });
+    throw error;
+  }
+}
+
+/**
+ * Walk the fallback chain for streamWithProvider
+ * @param {string} providerName - Provider to use ('auto' for smart fallback)
+ * @param {string} prompt - Text prompt
+ * @param {Object} options - Generation options without endpoint
+ * @param {Object} handlers - Stream callbacks
+ * @returns {Object} Generation result
+ */
+async function streamWithFallback(
+  providerName,
+  prompt,
+  options = {},
+  { onChunk, onHandoff } = {},
+) {
+  const startTime = Date.now();
+  const {
+    model,
+    requiredCapabilities,
+    stallTimeout,
+    routingPolicy,
+    maxRetries,
+    abortSignal,
+    ...generationOptions
+  } = options;
+  const providersToTry = getProvidersToTry(providerName, routingPolicy);
+  const requestedModel = model ? { provider: providerName, id: model } : null;
+  const { capable, skippedProviders } = filterCapableProviders(
+    providersToTry,
+    getRequestRequirements(
+      prompt,
+      { ...generationOptions, requiredCapabilities },
+      ["streaming"],
+    ),
+    requestedModel,
+  );
+  const stallTimeoutMs =
+    stallTimeout || parseInt(process.env.STREAM_STALL_TIMEOUT_MS, 10) || 15000;
+  const attempts = [];
+  const handoffs = [];
+  let content = "";
+  let pendingHandoff = null;
+
+  for (let i = 0; i < capable.length; i++) {
+    const currentProvider = capable[i];
+    const currentModel = resolveModel(currentProvider, requestedModel);
+    const attemptStart = Date.now();
+    const attemptPrompt = content
+      ? buildContinuationPrompt(prompt, content)
+      : prompt;
+    let attemptContent = "";
+    let streamOpened = false;
+
+    throwIfRequestAborted(abortSignal, attempts);
+
+    // Skip providers whose circuit breaker is open
+    if (!canAttemptProvider(currentProvider)) {
+      attempts.push(createSkippedAttemptRecord(currentProvider, currentModel));
+      console.log(`[Stream] Skipping ${currentProvider}: circuit open`);
+      continue;
+    }
 
-      if (!result || !result.text) {
-        throw new Error("Provider returned null or invalid response");
+    // Record where this provider picks up a partially streamed answer
+    if (pendingHandoff) {
+      const handoff = { ...pendingHandoff, to: currentProvider };
+      handoffs.push(handoff);
+      onHandoff?.(handoff);
+      pendingHandoff = null;
+      console.log(
+        `[Stream] Handing off to ${handoff.to} at offset ${handoff.offset}`,
+      );
+    }
+
+    // Aborted on stall or error so an abandoned provider stops streaming,
+    // and when the request itself is cancelled
+    const attemptController = new AbortController();
+    const abortAttempt = () => attemptController.abort(abortSignal.reason);
+    abortSignal?.addEventListener("abort", abortAttempt, { once: true });
+
+    try {
+      console.log(
+        `[Stream] Attempting provider: ${currentProvider} (${i + 1}/${capable.length})`,
+      );
+
+      const aiProvider = await createAIProvider(currentProvider);
+
+      // Retries are only safe before any content from this attempt is sent
+      const streamResult = await withRetry(
+        () =>
+          aiProvider.stream({
+            input: { text: attemptPrompt },
+            model: currentModel,
+            maxTokens:
+              generationOptions.maxTokens ||
+              DEFAULT_GENERATION_PARAMS.maxTokens,
+            temperature:
+              generationOptions.temperature ||
+              DEFAULT_GENERATION_PARAMS.temperature,
+            timeout: generationOptions.timeout,
+            abortSignal: attemptController.signal,
+            ...generationOptions,
+          }),
+        { label: currentProvider, maxRetries, abortSignal },
+      );
+      streamOpened = true;
+
+      for await (const chunk of iterateWithStallTimeout(
+        streamResult.stream,
+        stallTimeoutMs,
+        abortSignal,
+      )) {
+        if (chunk && "content" in chunk && chunk.content) {
+          attemptContent += chunk.content;
+          content += chunk.content;
+          onChunk(chunk.content);
+        }
+      }
+
+      // A continuation that adds nothing would leave the answer truncated
+      if (!attemptContent) {
+        throw new Error("Provider returned an empty stream");
       }
 
-      // Update global usage statistics
-      updateUsageStats(result.usage);
+      const usage = await Promise.resolve(streamResult.usage);
+      const responseTime = Date.now() - startTime;
+
+      recordProviderLatency(currentProvider, Date.now() - attemptStart);
+      recordProviderSuccess(currentProvider);
+      attempts.push({
+        ...createAttemptRecord(currentProvider, attemptStart, {
+          status: "success",
+          model: streamResult.model || currentModel,
+        }),
+        charactersStreamed: attemptContent.length,
+      });
 
       console.log(
-        `[Generate] Success with ${currentProvider} in ${responseTime}ms`,
+        `[Stream] Success with ${currentProvider} in ${responseTime}ms`,
       );
 
       return {
-        content: result.text,
+        content,
         provider: currentProvider,
-        model: result.model || getModelForProvider(currentProvider),
+        model: streamResult.model || currentModel,
         responseTime,
-        usage: result.usage,
-        attemptedProviders: i + 1,
-        fallbackUsed: i > 0,
+        usage,
+        attemptedProviders: attempts.length,
+        fallbackUsed: currentProvider !== providersToTry[0],
+        handoffs,
+        attempts,
+        skippedProviders,
       };
     } catch (error) {
+      attemptController.abort(error);
+
+      // A stream that ends early reports no usage, but what it processed
+      // was billed
+      const recordAttempt = (outcome) => {
+        const record = {
+          ...createAttemptRecord(currentProvider, attemptStart, {
+            ...outcome,
+            model: currentModel,
+          }),
+          charactersStreamed: attemptContent.length,
+        };
+        attempts.push(
+          streamOpened
+            ? withEstimatedCost(record, {
+                prompt: `${generationOptions.systemPrompt || ""}${attemptPrompt}`,
+                completion: attemptContent,
+              })
+            : record,
+        );
+      };
+
+      // A cancelled request is not the provider's fault
+      if (abortSignal?.aborted) {
+        recordAttempt({ status: "aborted" });
+        throwIfRequestAborted(abortSignal, attempts);
+      }
+
       const errorMsg = error.message || String(error);
-      errors.push(`${currentProvider}: ${errorMsg}`);
+      recordAttempt({ status: "failed", error });
+      recordProviderFailure(currentProvider, error);
 
-      console.log(`[Generate] ${currentProvider} failed: ${errorMsg}`);
+      console.log(
+        `[Stream] ${currentProvider} failed after ${attemptContent.length} characters: ${errorMsg}`,
+      );
 
-      // If this is the last provider, throw the accumulated errors
-      if (i === providersToTry.length - 1) {
-        const finalError = `Failed after ${providersToTry.length} attempts. Last error: ${errorMsg}`;
-        console.error(
-          `[Generate] All providers failed. Errors: ${errors.join("; ")}`,
-        );
-        throw new Error(finalError);
+      // The next provider to run continues the partial answer
+      if (content) {
+        pendingHandoff = {
+          from: currentProvider,
+          offset: content.length,
+          reason: errorMsg,
+        };
       }
-
-      // Continue to next provider
-      console.log(`[Generate] Trying next provider...`);
+    } finally {
+      abortSignal?.removeEventListener("abort", abortAttempt);
     }
   }
+
+  // Every provider failed or was skipped, throw the accumulated attempts
+  const failure = createAllProvidersFailedError(attempts, skippedProviders);
+  console.error(`[Stream] All providers failed. ${failure.message}`);
+  throw failure;
+}
+
+/**
+ * Store a completed question and answer in a conversation
+ * @param {string} conversationId - Conversation id
+ * @param {string} prompt - User message as sent by the client
+ * @param {Object} result - Generation result
+ */
+function recordConversationTurn(conversationId, prompt, result) {
+  appendMessages(conversationId, [
+    { role: "user", content: prompt },
+    {
+      role: "assistant",
+      content: result.content,
+      provider: result.provider,
+      model: result.model,
+    },
+  ]);
+}
+
+/**
+ * Prepare a response for Server-Sent Events
+ * @param {Object} res - Express response
+ */
+function initSSE(res) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write a single Server-Sent Event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ */
+function sendSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 /**
@@ -411,26 +1690,6 @@ async function generateWithProvider(providerName, prompt, options = {}) {
  */
 function generateMockAnalysisData(toolName, params = {}) {
   const mockData = {
-    "analyze-ai-usage": {
-      timeRange: params.timeRange || "24h",
-      summary: {
-        totalRequests: 1247,
-        totalTokens: 89432,
-        averageTokensPerRequest: 72,
-        costEstimation: "$12.45",
-      },
-      providerBreakdown: {
-        openai: { requests: 623, tokens: 44716, cost: "$6.23" },
-        vertex: { requests: 412, tokens: 29654, cost: "$4.12" },
-        bedrock: { requests: 212, tokens: 15062, cost: "$2.10" },
-      },
-      optimizationSuggestions: [
-        "Consider using lower-cost providers for simple tasks",
-        "Optimize prompts to reduce token usage by 15-20%",
-        "Implement caching for repeated queries",
-      ],
-    },
-
     "benchmark-provider-performance": {
       iterations: params.iterations || 3,
       summary: {
@@ -503,41 +1762,174 @@ function generateMockAnalysisData(toolName, params = {}) {
 // ================================
 
 /**
- * GET /api/status
- * Check the status and availability of all AI providers
+ * GET /api/status
+ * Report cached provider availability from the background health monitor
+ * Pass ?refresh=true to re-check every provider before answering
+ */
+app.get(
+  "/api/status",
+  asyncHandler(async (req, res) => {
+    // Wait for a fresh check when asked, or if none has completed yet
+    let health = getProviderHealth();
+    if (req.query.refresh === "true" || !health.checkedAt) {
+      health = await refreshProviderHealth();
+    }
+
+    const status = {
+      timestamp: new Date().toISOString(),
+      checkedAt: health.checkedAt,
+      healthCheckIntervalMs: health.intervalMs,
+      providers: health.providers,
+      bestProvider: null,
+      configuration: {
+        defaultProvider: process.env.DEFAULT_PROVIDER || "openai",
+        streamingEnabled: STREAMING_ENABLED,
+        fallbackEnabled: process.env.ENABLE_FALLBACK === "true",
+        routing: getRoutingStatus(),
+      },
+      circuitBreakers: getCircuitBreakerStatus(),
+    };
+
+    // Get the best available provider (only from authenticated providers)
+    const authenticatedProviders = ALL_PROVIDERS.filter(
+      (p) => status.providers[p]?.authenticated,
+    );
+
+    if (authenticatedProviders.length > 0) {
+      status.bestProvider = authenticatedProviders[0];
+    } else {
+      status.bestProvider = null;
+    }
+
+    res.json(status);
+  }),
+);
+
+/**
+ * GET /api/status/history
+ * Health-check time series with uptime percentages and degradation periods
+ * Optional ?provider= narrows to one provider, ?window= (e.g. 30m, 24h) sets the range
+ */
+app.get("/api/status/history", (req, res) => {
+  const { provider, window } = req.query;
+
+  if (provider && !ALL_PROVIDERS.includes(provider)) {
+    throw new NotFoundError(`Unknown provider: ${provider}`);
+  }
+
+  const windowMs = parseWindow(window);
+  if (!windowMs) {
+    throw new ValidationError(`Invalid window: ${window}`, {
+      details: { example: "30m, 6h or 24h" },
+    });
+  }
+
+  res.json(
+    createSuccessResponse({
+      windowMs,
+      ...getStatusHistoryConfig(),
+      providers: getStatusHistory({ provider, windowMs }),
+    }),
+  );
+});
+
+/**
+ * GET /api/models
+ * List known models per provider with context window, pricing and capabilities
+ * Optional ?provider= narrows the list to one provider
+ */
+app.get(
+  "/api/models",
+  asyncHandler(async (req, res) => {
+    const { provider } = req.query;
+
+    if (provider && !ALL_PROVIDERS.includes(provider)) {
+      throw new NotFoundError(`Unknown provider: ${provider}`);
+    }
+
+    // Installed Ollama models change outside the server, so list them fresh
+    if (!provider || provider === "ollama") {
+      await discoverOllamaModels();
+    }
+
+    const providers = {};
+    for (const providerName of provider ? [provider] : ALL_PROVIDERS) {
+      providers[providerName] = {
+        configured: isProviderConfigured(providerName),
+        defaultModel: getModelForProvider(providerName),
+        models: getProviderModels(providerName),
+      };
+    }
+
+    res.json(createSuccessResponse({ providers }));
+  }),
+);
+
+/**
+ * POST /api/ollama/models
+ * Pull a model onto the Ollama server, streaming download progress as SSE
+ */
+app.post(
+  "/api/ollama/models",
+  asyncHandler(async (req, res) => {
+    const { model } = req.body;
+
+    if (!model) {
+      throw new ValidationError("Model is required");
+    }
+
+    // Downloads outlast the request deadline, so only a disconnect cancels them
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        controller.abort(new RequestCancelledError("Client disconnected"));
+      }
+    });
+
+    console.log(`[Ollama] Pulling ${model} from ${OLLAMA_BASE_URL}`);
+    initSSE(res);
+
+    try {
+      await pullOllamaModel(model, {
+        onProgress: (progress) => sendSSE(res, "progress", progress),
+        abortSignal: controller.signal,
+      });
+      await discoverOllamaModels();
+
+      console.log(`[Ollama] Pulled ${model}`);
+      sendSSE(
+        res,
+        "done",
+        createSuccessResponse({ model, models: getProviderModels("ollama") }),
+      );
+    } catch (error) {
+      console.error(`[Ollama] Pull of ${model} failed:`, error.message);
+      sendSSE(res, "error", createErrorResponse(error, { model }));
+    }
+
+    res.end();
+  }),
+);
+
+/**
+ * DELETE /api/ollama/models/:name
+ * Remove an installed model from the Ollama server
  */
-app.get(
-  "/api/status",
+app.delete(
+  "/api/ollama/models/:name",
   asyncHandler(async (req, res) => {
-    const status = {
-      timestamp: new Date().toISOString(),
-      providers: {},
-      bestProvider: null,
-      configuration: {
-        defaultProvider: process.env.DEFAULT_PROVIDER || "openai",
-        streamingEnabled: process.env.ENABLE_STREAMING === "true",
-        fallbackEnabled: process.env.ENABLE_FALLBACK === "true",
-      },
-    };
+    const { name } = req.params;
 
-    // Test each provider's availability
-    for (const providerName of ALL_PROVIDERS) {
-      status.providers[providerName] =
-        await testProviderAvailability(providerName);
-    }
+    console.log(`[Ollama] Deleting ${name}`);
+    await deleteOllamaModel(name);
+    await discoverOllamaModels();
 
-    // Get the best available provider (only from authenticated providers)
-    const authenticatedProviders = ALL_PROVIDERS.filter(
-      (p) => status.providers[p].authenticated,
+    res.json(
+      createSuccessResponse({
+        deleted: name,
+        models: getProviderModels("ollama"),
+      }),
     );
-
-    if (authenticatedProviders.length > 0) {
-      status.bestProvider = authenticatedProviders[0];
-    } else {
-      status.bestProvider = null;
-    }
-
-    res.json(status);
   }),
 );
 
@@ -551,155 +1943,456 @@ app.post(
     const {
       provider = "auto",
       prompt,
+      model,
       enableMCP = true, // MCP enabled by default
-      disableTools = false, // Tools enabled by default
+      tools: toolsRequested = false, // Tool calling is opt-in
+      disableTools = false,
       maxTokens,
       temperature,
-      systemPrompt,
+      systemPrompt: requestSystemPrompt,
+      stream = false,
+      routingPolicy,
+      maxRetries,
+      hedge = false,
+      requiredCapabilities = [],
+      conversationId,
+      maxToolRounds,
+      cache,
     } = req.body;
 
     if (!prompt) {
-      return res.status(400).json(createErrorResponse("Prompt is required"));
+      throw new ValidationError("Prompt is required");
+    }
+    if (typeof prompt !== "string") {
+      throw new ValidationError("Prompt must be a string");
+    }
+
+    // Send the prior turns of a conversation along with the new message
+    const conversation = conversationId
+      ? getConversation(conversationId)
+      : null;
+    const { prompt: providerPrompt, context: conversationContext } =
+      conversation
+        ? buildConversationPrompt(conversation, prompt)
+        : { prompt, context: undefined };
+    const systemPrompt = requestSystemPrompt || conversation?.systemPrompt;
+
+    if (routingPolicy && !isValidRoutingPolicy(routingPolicy)) {
+      throw new ValidationError(`Unknown routing policy: ${routingPolicy}`, {
+        details: { availablePolicies: ROUTING_POLICIES },
+      });
+    }
+
+    if (stream && !STREAMING_ENABLED) {
+      throw new ValidationError("Streaming is disabled on this server");
+    }
+
+    if (stream && hedge) {
+      throw new ValidationError("Hedged requests cannot be streamed");
+    }
+
+    if (
+      !Array.isArray(requiredCapabilities) ||
+      requiredCapabilities.some((cap) => !MODEL_CAPABILITIES.includes(cap))
+    ) {
+      throw new ValidationError(
+        "requiredCapabilities must be an array of known capabilities",
+        { details: { availableCapabilities: MODEL_CAPABILITIES } },
+      );
+    }
+
+    if (
+      maxToolRounds !== undefined &&
+      !(
+        Number.isInteger(maxToolRounds) &&
+        maxToolRounds >= 0 &&
+        maxToolRounds <= TOOL_ROUNDS_LIMIT
+      )
+    ) {
+      throw new ValidationError(
+        `maxToolRounds must be an integer from 0 to ${TOOL_ROUNDS_LIMIT}`,
+        { details: { maximum: TOOL_ROUNDS_LIMIT } },
+      );
     }
 
-    // Determine if we should use MCP tools
+    assertValidCacheMode(cache);
+
+    // Determine if we should use MCP, and whether to offer tools to the model
     const useMCP = !disableTools && enableMCP;
+    const offerTools = toolsRequested === true && !disableTools && !stream;
+
+    // Reject unknown or incapable models before calling any provider
+    const targetProvider = model
+      ? resolveModelProvider(
+          provider,
+          model,
+          getRequestRequirements(
+            providerPrompt,
+            { requiredCapabilities, systemPrompt, maxTokens },
+            stream ? ["streaming"] : offerTools ? ["tools"] : [],
+          ),
+        )
+      : provider;
+
+    if (stream) {
+      console.log(
+        `[Generate] Streaming with provider: ${targetProvider}, prompt length: ${prompt.length}`,
+      );
+
+      initSSE(res);
+
+      try {
+        const result = await streamWithProvider(
+          targetProvider,
+          providerPrompt,
+          {
+            model,
+            requiredCapabilities,
+            maxTokens,
+            temperature,
+            systemPrompt,
+            routingPolicy,
+            maxRetries,
+            abortSignal: req.abortSignal,
+            endpoint: req.path,
+          },
+          {
+            onChunk: (content) => sendSSE(res, "chunk", { content }),
+            onHandoff: (handoff) => sendSSE(res, "handoff", handoff),
+          },
+        );
+
+        const { content, ...metadata } = result;
+        if (conversation) {
+          recordConversationTurn(conversationId, prompt, result);
+        }
+        sendSSE(
+          res,
+          "done",
+          createSuccessResponse({
+            ...metadata,
+            conversationId,
+            conversation: conversationContext,
+          }),
+        );
+      } catch (error) {
+        console.error(`[Generate] Stream error:`, error.message);
+        usageStats.errors++;
+        sendSSE(res, "error", createErrorResponse(error, { provider }));
+      }
+
+      return res.end();
+    }
 
     console.log(
-      `[Generate] Using provider: ${provider}, prompt length: ${prompt.length}, MCP: ${useMCP}`,
+      `[Generate] Using provider: ${targetProvider}, prompt length: ${prompt.length}, MCP: ${useMCP}`,
     );
 
     try {
-      const result = await generateWithProvider(provider, prompt, {
-        maxTokens,
-        temperature,
-        systemPrompt,
-        enableMCP: useMCP,
-      });
+      const startTime = Date.now();
+      const generate = (
+        roundPrompt,
+        roundSystemPrompt,
+        { toolsOffered } = {},
+      ) =>
+        generateWithProvider(targetProvider, roundPrompt, {
+          model,
+          // Only models that can follow the tool-call format get the tool prompt
+          requiredCapabilities:
+            toolsOffered && !requiredCapabilities.includes("tools")
+              ? [...requiredCapabilities, "tools"]
+              : requiredCapabilities,
+          maxTokens,
+          temperature,
+          systemPrompt: roundSystemPrompt,
+          enableMCP: useMCP,
+          routingPolicy,
+          maxRetries,
+          hedge,
+          abortSignal: req.abortSignal,
+          endpoint: req.path,
+          cache,
+        });
+
+      // Offer local and MCP tools to the model and run the calls it makes
+      const { tools, unavailableServers } = offerTools
+        ? await getAvailableTools({ includeMCP: useMCP })
+        : { tools: [], unavailableServers: [] };
+      const toolRun =
+        tools.length > 0
+          ? await generateWithTools(providerPrompt, {
+              tools,
+              generate,
+              systemPrompt,
+              maxRounds: maxToolRounds,
+              abortSignal: req.abortSignal,
+            })
+          : null;
+      const result = toolRun
+        ? {
+            ...toolRun.result,
+            usage: toolRun.usage,
+            cost: toolRun.cost,
+            responseTime: Date.now() - startTime,
+          }
+        : await generate(providerPrompt, systemPrompt);
+      const toolCalls = toolRun?.toolCalls || [];
 
       console.log(`[Generate] Success in ${result.responseTime}ms`);
 
+      if (conversation) {
+        recordConversationTurn(conversationId, prompt, result);
+      }
+
       // Add MCP metadata if available
       const response = createSuccessResponse({
         ...result,
-        // Mock MCP tool usage for demo purposes
-        toolsUsed:
-          useMCP && prompt.toLowerCase().includes("time")
-            ? ["get-current-time"]
-            : useMCP && prompt.toLowerCase().includes("calculate")
-              ? ["calculator"]
-              : useMCP && prompt.toLowerCase().includes("provider")
-                ? ["check-provider-status"]
-                : useMCP && prompt.toLowerCase().includes("tools")
-                  ? ["list-tools"]
-                  : [],
-        enhancedWithTools:
-          useMCP &&
-          (prompt.toLowerCase().includes("time") ||
-            prompt.toLowerCase().includes("calculate") ||
-            prompt.toLowerCase().includes("provider") ||
-            prompt.toLowerCase().includes("tools")),
+        conversationId,
+        conversation: conversationContext,
+        toolsAvailable: tools.length,
+        toolCalls,
+        toolRounds: toolRun?.toolRounds || 0,
+        toolsUsed: [
+          ...new Set(
+            toolCalls.filter((call) => call.source).map((call) => call.name),
+          ),
+        ],
+        enhancedWithTools: toolCalls.length > 0,
+        unavailableToolServers: unavailableServers,
       });
 
       res.json(response);
     } catch (error) {
       console.error(`[Generate] Error:`, error.message);
       usageStats.errors++;
-      res.status(500).json(createErrorResponse(error.message, { provider }));
+      res
+        .status(error.statusCode || 500)
+        .json(createErrorResponse(error, { provider }));
     }
   }),
 );
 
+/**
+ * POST /api/conversations
+ * Start a conversation; pass its id as conversationId to /api/generate
+ */
+app.post("/api/conversations", (req, res) => {
+  const { title, systemPrompt } = req.body;
+  const conversation = createConversation({ title, systemPrompt });
+
+  console.log(`[Conversations] Created ${conversation.id}`);
+  res.status(201).json(createSuccessResponse({ conversation }));
+});
+
+/**
+ * GET /api/conversations
+ * List conversations, most recently updated first
+ */
+app.get("/api/conversations", (req, res) => {
+  res.json(createSuccessResponse({ conversations: listConversations() }));
+});
+
+/**
+ * GET /api/conversations/:id
+ * Fetch a conversation with its full message history
+ */
+app.get("/api/conversations/:id", (req, res) => {
+  res.json(
+    createSuccessResponse({ conversation: getConversation(req.params.id) }),
+  );
+});
+
+/**
+ * POST /api/conversations/:id/messages
+ * Append messages without generating a reply (e.g. to seed context)
+ * Accepts { role, content } or { messages: [{ role, content }] }
+ */
+app.post("/api/conversations/:id/messages", (req, res) => {
+  const { messages = [{ role: req.body.role, content: req.body.content }] } =
+    req.body;
+
+  res.status(201).json(
+    createSuccessResponse({
+      messages: appendMessages(req.params.id, messages),
+    }),
+  );
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation and its history
+ */
+app.delete("/api/conversations/:id", (req, res) => {
+  deleteConversation(req.params.id);
+
+  console.log(`[Conversations] Deleted ${req.params.id}`);
+  res.json(createSuccessResponse({ deleted: req.params.id }));
+});
+
+/**
+ * GET /api/schemas
+ * List built-in and custom schemas usable as the /api/schema type
+ */
+app.get("/api/schemas", (req, res) => {
+  const schemas = listSchemas();
+  res.json(createSuccessResponse({ schemas, totalSchemas: schemas.length }));
+});
+
+/**
+ * GET /api/schemas/:name
+ * Get one schema with its prompt
+ */
+app.get("/api/schemas/:name", (req, res) => {
+  res.json(createSuccessResponse({ schema: getSchema(req.params.name) }));
+});
+
+/**
+ * POST /api/schemas
+ * Register a custom schema: { name, prompt, schema, description }
+ */
+app.post("/api/schemas", (req, res) => {
+  const { name, prompt, schema, description } = req.body;
+  const created = createSchema({ name, prompt, schema, description });
+  console.log(`[Schema] Registered ${name}`);
+  res.status(201).json(createSuccessResponse({ schema: created }));
+});
+
+/**
+ * PUT /api/schemas/:name
+ * Replace the prompt, schema or description of a custom schema
+ */
+app.put("/api/schemas/:name", (req, res) => {
+  const { prompt, schema, description } = req.body;
+  const updated = updateSchema(req.params.name, {
+    prompt,
+    schema,
+    description,
+  });
+  res.json(createSuccessResponse({ schema: updated }));
+});
+
+/**
+ * DELETE /api/schemas/:name
+ * Delete a custom schema
+ */
+app.delete("/api/schemas/:name", (req, res) => {
+  deleteSchema(req.params.name);
+  console.log(`[Schema] Deleted ${req.params.name}`);
+  res.json(createSuccessResponse({ deleted: req.params.name }));
+});
+
 /**
  * POST /api/schema
  * Test structured output generation with JSON schemas
+ * With stream: true, partial objects are sent as server-sent events while
+ * the JSON arrives, followed by the validated object
  */
 app.post(
   "/api/schema",
   asyncHandler(async (req, res) => {
-    const { type = "user-profile" } = req.body;
-
-    // Pre-defined schemas for different content types
-    const schemas = {
-      "user-profile": {
-        prompt:
-          "Generate a user profile for a fictional character including name, age, occupation, and hobbies.",
-        schema: {
-          type: "object",
-          properties: {
-            name: { type: "string" },
-            age: { type: "number" },
-            occupation: { type: "string" },
-            hobbies: { type: "array", items: { type: "string" } },
-          },
-          required: ["name", "age", "occupation", "hobbies"],
-        },
-      },
-      "product-review": {
-        prompt:
-          "Generate a product review for a smartphone including rating, pros, cons, and recommendation.",
-        schema: {
-          type: "object",
-          properties: {
-            product: { type: "string" },
-            rating: { type: "number", minimum: 1, maximum: 5 },
-            pros: { type: "array", items: { type: "string" } },
-            cons: { type: "array", items: { type: "string" } },
-            recommendation: { type: "string" },
-          },
-          required: ["product", "rating", "pros", "cons", "recommendation"],
-        },
-      },
-      "meeting-notes": {
-        prompt:
-          "Generate meeting notes for a project planning session including attendees, decisions, and action items.",
-        schema: {
-          type: "object",
-          properties: {
-            title: { type: "string" },
-            date: { type: "string" },
-            attendees: { type: "array", items: { type: "string" } },
-            decisions: { type: "array", items: { type: "string" } },
-            actionItems: {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  task: { type: "string" },
-                  assignee: { type: "string" },
-                  dueDate: { type: "string" },
-                },
-              },
-            },
-          },
-          required: ["title", "date", "attendees", "decisions", "actionItems"],
-        },
-      },
+    const { type, prompt, schema, maxRepairAttempts, stream } = req.body;
+
+    if (stream && !STREAMING_ENABLED) {
+      throw new ValidationError("Streaming is disabled on this server");
+    }
+
+    if (
+      maxRepairAttempts !== undefined &&
+      !(
+        Number.isInteger(maxRepairAttempts) &&
+        maxRepairAttempts >= 0 &&
+        maxRepairAttempts <= SCHEMA_REPAIR_LIMIT
+      )
+    ) {
+      throw new ValidationError(
+        `maxRepairAttempts must be an integer from 0 to ${SCHEMA_REPAIR_LIMIT}`,
+        { details: { maximum: SCHEMA_REPAIR_LIMIT } },
+      );
+    }
+
+    // Use an inline schema, or look up a registered one (404 if unknown)
+    let selectedSchema;
+    if (schema !== undefined) {
+      if (type !== undefined) {
+        throw new ValidationError("Pass either type or schema, not both");
+      }
+      if (typeof prompt !== "string" || !prompt.trim()) {
+        throw new ValidationError("prompt is required with an inline schema");
+      }
+      assertValidSchema(schema);
+      selectedSchema = { name: null, prompt, schema };
+    } else {
+      const registered = getSchema(type ?? "user-profile");
+      selectedSchema = { ...registered, prompt: prompt || registered.prompt };
+    }
+    console.log(
+      `[Schema] Testing structured output for type: ${selectedSchema.name || "inline"}`,
+    );
+
+    const generationOptions = {
+      maxTokens: 400,
+      schema: selectedSchema.schema,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
     };
 
-    const selectedSchema = schemas[type] || schemas["user-profile"];
+    // Streamed attempts report the object parsed so far after each chunk
+    const streamAttempt = (attemptPrompt, attempt) =>
+      streamWithProvider("auto", attemptPrompt, generationOptions, {
+        onChunk: createPartialJSONTracker((data) =>
+          sendSSE(res, "partial", { attempt, data }),
+        ),
+        onHandoff: (handoff) => sendSSE(res, "handoff", handoff),
+      });
 
-    console.log(`[Schema] Testing structured output for type: ${type}`);
+    if (stream) {
+      initSSE(res);
+    }
 
     try {
-      const result = await generateWithProvider("auto", selectedSchema.prompt, {
-        maxTokens: 400,
+      // Validate locally and send schema errors back to the model to fix
+      const { data, result, validation, repairAttempts, usage, cost } =
+        await generateStructuredOutput(selectedSchema.prompt, {
+          schema: selectedSchema.schema,
+          maxRepairAttempts,
+          generate: stream
+            ? streamAttempt
+            : (attemptPrompt) =>
+                generateWithProvider("auto", attemptPrompt, {
+                  ...generationOptions,
+                  cache: req.body.cache,
+                }),
+          onRepair: stream
+            ? (repair) => sendSSE(res, "repair", repair)
+            : undefined,
+        });
+
+      const response = createSuccessResponse({
+        structuredData: data,
+        rawText: result.content,
+        provider: result.provider,
+        usage,
+        cost,
+        validation,
+        repairAttempts,
+        type: selectedSchema.name,
         schema: selectedSchema.schema,
       });
-
-      res.json(
-        createSuccessResponse({
-          structuredData: result.object || JSON.parse(result.content),
-          rawText: result.content,
-          provider: result.provider,
-          usage: result.usage,
-          schema: selectedSchema.schema,
-        }),
-      );
+      if (!stream) {
+        return res.json(response);
+      }
+      sendSSE(res, "done", response);
     } catch (error) {
       console.error("[Schema] Error:", error.message);
-      res.status(500).json(createErrorResponse(error.message));
+      if (!stream) {
+        return res
+          .status(error.statusCode || 500)
+          .json(createErrorResponse(error));
+      }
+      sendSSE(res, "error", createErrorResponse(error));
     }
+
+    res.end();
   }),
 );
 
@@ -724,9 +2417,13 @@ app.post(
       try {
         console.log(`[Benchmark] Testing ${providerName}`);
 
+        // Always call the provider so the timings are real
         const result = await generateWithProvider(providerName, testPrompt, {
           maxTokens: 100,
           temperature: 0.7,
+          abortSignal: req.abortSignal,
+          endpoint: req.path,
+          cache: "bypass",
         });
 
         results.results[providerName] = {
@@ -734,6 +2431,7 @@ app.post(
           responseTime: result.responseTime,
           model: result.model,
           usage: result.usage,
+          cost: result.cost,
           contentLength: result.content.length,
           content: result.content,
         };
@@ -775,6 +2473,9 @@ app.post(
       {
         maxTokens: 400,
         temperature: 0.7,
+        abortSignal: req.abortSignal,
+        endpoint: req.path,
+        cache: req.body.cache,
       },
     );
 
@@ -782,6 +2483,8 @@ app.post(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
       }),
     );
   }),
@@ -809,12 +2512,17 @@ Please provide:
     const result = await generateWithProvider("auto", analysisPrompt, {
       maxTokens: 600,
       temperature: 0.3,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
       }),
     );
   }),
@@ -837,15 +2545,27 @@ app.post(
 
     const tokenLimits = { brief: 100, medium: 200, detailed: 400 };
 
-    const result = await generateWithProvider("auto", summaryPrompts[length], {
-      maxTokens: tokenLimits[length],
-      temperature: 0.4,
-    });
+    // Near-duplicate texts with the same length reuse an earlier summary
+    const result = await withSemanticCache(
+      "/api/business/summarize",
+      { text, variant: length, cache: req.body.cache },
+      () =>
+        generateWithProvider("auto", summaryPrompts[length], {
+          maxTokens: tokenLimits[length],
+          temperature: 0.4,
+          abortSignal: req.abortSignal,
+          endpoint: req.path,
+          cache: req.body.cache,
+        }),
+    );
 
     res.json(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
+        semanticCache: result.semanticCache,
       }),
     );
   }),
@@ -873,12 +2593,17 @@ app.post(
     const result = await generateWithProvider("auto", creativePrompts[type], {
       maxTokens: 500,
       temperature: 0.8,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
       }),
     );
   }),
@@ -902,12 +2627,17 @@ Provide only the translation:`;
     const result = await generateWithProvider("auto", translationPrompt, {
       maxTokens: 300,
       temperature: 0.3,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
       createSuccessResponse({
         content: result.content.trim(),
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
       }),
     );
   }),
@@ -928,15 +2658,27 @@ app.post(
       video: `Generate 10 video content ideas about ${topic}. Include concept, target audience, and key talking points for each.`,
     };
 
-    const result = await generateWithProvider("auto", ideaPrompts[type], {
-      maxTokens: 500,
-      temperature: 0.7,
-    });
+    // Near-duplicate topics with the same type reuse earlier ideas
+    const result = await withSemanticCache(
+      "/api/creative/ideas",
+      { text: topic, variant: type, cache: req.body.cache },
+      () =>
+        generateWithProvider("auto", ideaPrompts[type], {
+          maxTokens: 500,
+          temperature: 0.7,
+          abortSignal: req.abortSignal,
+          endpoint: req.path,
+          cache: req.body.cache,
+        }),
+    );
 
     res.json(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
+        semanticCache: result.semanticCache,
       }),
     );
   }),
@@ -968,12 +2710,17 @@ Code:`;
     const result = await generateWithProvider("auto", codePrompt, {
       maxTokens: 600,
       temperature: 0.4,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
       }),
     );
   }),
@@ -1003,12 +2750,17 @@ Documentation:`;
     const result = await generateWithProvider("auto", docPrompt, {
       maxTokens: 800,
       temperature: 0.3,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
       }),
     );
   }),
@@ -1039,12 +2791,17 @@ Analysis:`;
     const result = await generateWithProvider("auto", debugPrompt, {
       maxTokens: 600,
       temperature: 0.4,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
       createSuccessResponse({
         content: result.content,
         usage: result.usage,
+        cost: result.cost,
+        cache: result.cache,
       }),
     );
   }),
@@ -1057,17 +2814,25 @@ Analysis:`;
 /**
  * GET /api/analytics
  * Get current usage statistics and analytics
+ * totalRequests counts API requests; generations counts provider fallback
+ * chains, broken down per provider, model and endpoint
  */
 app.get("/api/analytics", (req, res) => {
+  const usage = getUsageSummary();
   const analytics = {
     totalRequests: usageStats.requests,
-    totalTokens: usageStats.totalTokens,
+    totalTokens: usage.totals.totalTokens,
     totalErrors: usageStats.errors,
-    providerUsage: usageStats.providers,
+    generations: usage.totals,
+    providerUsage: usage.providers,
+    endpointUsage: usage.endpoints,
+    cache: getResponseCacheStats(),
+    semanticCache: getSemanticCacheStats(),
+    costs: getCostSummary(),
     timestamp: new Date().toISOString(),
     averageTokensPerRequest:
-      usageStats.requests > 0
-        ? Math.round(usageStats.totalTokens / usageStats.requests)
+      usage.totals.successes > 0
+        ? Math.round(usage.totals.totalTokens / usage.totals.successes)
         : 0,
     errorRate:
       usageStats.requests > 0
@@ -1078,6 +2843,45 @@ app.get("/api/analytics", (req, res) => {
   res.json(analytics);
 });
 
+/**
+ * GET /api/analytics/costs
+ * Estimated costs per day, month, provider, model and endpoint
+ * Query: from, to (UTC days as YYYY-MM-DD, both optional and inclusive)
+ */
+app.get("/api/analytics/costs", (req, res) => {
+  const { from, to } = req.query;
+
+  for (const [name, day] of Object.entries({ from, to })) {
+    if (
+      day !== undefined &&
+      !(
+        /^\d{4}-\d{2}-\d{2}$/.test(day) &&
+        !isNaN(Date.parse(`${day}T00:00:00Z`))
+      )
+    ) {
+      throw new ValidationError(`${name} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (from && to && from > to) {
+    throw new ValidationError("from must not be after to");
+  }
+
+  res.json(createSuccessResponse(getCostSummary({ from, to })));
+});
+
+/**
+ * DELETE /api/cache
+ * Remove every entry from the response and semantic caches
+ */
+app.delete("/api/cache", (req, res) => {
+  const removed = clearResponseCache();
+  const semanticRemoved = clearSemanticCache();
+  console.log(
+    `[Cache] Cleared ${removed} entries and ${semanticRemoved} semantic entries`,
+  );
+  res.json(createSuccessResponse({ removed, semanticRemoved }));
+});
+
 // ================================
 // MCP INTEGRATION ENDPOINTS
 // ================================
@@ -1121,9 +2925,7 @@ app.post(
     const { serverName } = req.body;
 
     if (!serverName) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Server name is required"));
+      throw new ValidationError("Server name is required");
     }
 
     console.log(`[MCP] Installing server: ${serverName}`);
@@ -1199,7 +3001,7 @@ app.get(
 
 /**
  * POST /api/mcp/execute
- * Execute MCP tools
+ * Execute MCP tools, subject to the same tool-call policy as /api/generate
  */
 app.post(
   "/api/mcp/execute",
@@ -1207,9 +3009,18 @@ app.post(
     const { serverName, toolName, params = {} } = req.body;
 
     if (!serverName || !toolName) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Server name and tool name are required"));
+      throw new ValidationError("Server name and tool name are required");
+    }
+
+    const policy = await authorizeToolCall(
+      { name: `${serverName}.${toolName}`, server: serverName, tool: toolName },
+      params,
+      { abortSignal: req.abortSignal },
+    );
+    if (policy.decision === "deny" || policy.approved === false) {
+      throw new ToolCallDeniedError(`Tool call refused: ${policy.reason}`, {
+        details: { policy },
+      });
     }
 
     console.log(`[MCP] Executing tool: ${serverName}.${toolName}`);
@@ -1234,9 +3045,7 @@ app.post(
     const { name, command, args, env } = req.body;
 
     if (!name || !command) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Server name and command are required"));
+      throw new ValidationError("Server name and command are required");
     }
 
     console.log(`[MCP] Adding custom server: ${name}`);
@@ -1263,13 +3072,194 @@ app.get(
   }),
 );
 
+/**
+ * GET /api/tools
+ * List the tools offered to the model by /api/generate, local and MCP
+ */
+app.get(
+  "/api/tools",
+  asyncHandler(async (req, res) => {
+    const { tools, blockedTools, unavailableServers } =
+      await getAvailableTools();
+    res.json(
+      createSuccessResponse({
+        tools,
+        totalTools: tools.length,
+        blockedTools,
+        unavailableServers,
+        policy: loadToolPolicy(),
+      }),
+    );
+  }),
+);
+
+/**
+ * GET /api/tool-calls
+ * List tool calls waiting for approval
+ */
+app.get("/api/tool-calls", (req, res) => {
+  const pending = listPendingApprovals();
+  res.json(createSuccessResponse({ pending, totalPending: pending.length }));
+});
+
+/**
+ * GET /api/tool-calls/events
+ * Stream tool calls as they start waiting for approval and as they are decided
+ */
+app.get("/api/tool-calls/events", (req, res) => {
+  initSSE(res);
+
+  // Calls that were already waiting before the client connected
+  for (const pending of listPendingApprovals()) {
+    sendSSE(res, "pending", pending);
+  }
+
+  const onPending = (pending) => sendSSE(res, "pending", pending);
+  const onResolved = (decision) => sendSSE(res, "resolved", decision);
+  toolCallEvents.on("pending", onPending);
+  toolCallEvents.on("resolved", onResolved);
+
+  res.on("close", () => {
+    toolCallEvents.off("pending", onPending);
+    toolCallEvents.off("resolved", onResolved);
+  });
+});
+
+/**
+ * POST /api/tool-calls/:id/approve
+ * Let a pending tool call run
+ */
+app.post("/api/tool-calls/:id/approve", (req, res) => {
+  const call = decideApproval(req.params.id, true, req.body?.reason);
+  res.json(createSuccessResponse({ call }));
+});
+
+/**
+ * POST /api/tool-calls/:id/reject
+ * Refuse a pending tool call; the model is told it was rejected
+ */
+app.post("/api/tool-calls/:id/reject", (req, res) => {
+  const call = decideApproval(req.params.id, false, req.body?.reason);
+  res.json(createSuccessResponse({ call }));
+});
+
 // ================================
 // AI WORKFLOW TOOLS ENDPOINTS
 // ================================
 
+/**
+ * Format an estimated cost for display
+ * @param {number} amount - Amount in USD
+ * @returns {string} Amount with a dollar sign, e.g. "$12.45" or "$0.0031"
+ */
+function formatCost(amount) {
+  return `$${amount.toFixed(amount >= 1 ? 2 : 4)}`;
+}
+
+/**
+ * Summarize recorded usage and estimated costs for /api/ai/analyze-usage
+ * @param {Object} options - Analysis options
+ * @param {string} options.timeframe - e.g. "last-24-hours" or "last-7-days"
+ * @param {string[]} options.providers - Providers to include
+ * @param {boolean} options.includeOptimizations - Whether to add suggestions
+ * @returns {Object} Summary, per-provider breakdown and suggestions
+ * @throws {ValidationError} If the timeframe cannot be parsed
+ */
+function buildUsageAnalysis({ timeframe, providers, includeOptimizations }) {
+  const match = /^last-(\d+)-(hours?|days?)$/.exec(timeframe);
+  if (!match || Number(match[1]) === 0) {
+    throw new ValidationError(`Invalid timeframe: ${timeframe}`, {
+      details: { example: "last-24-hours or last-7-days" },
+    });
+  }
+  const hours = Number(match[1]) * (match[2].startsWith("day") ? 24 : 1);
+
+  // Costs are recorded per UTC day, so whole days are counted
+  const from = new Date(Date.now() - hours * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  const costs = getCostSummary({ from });
+  const included = Object.entries(costs.byProvider).filter(([provider]) =>
+    providers.includes(provider),
+  );
+
+  const totals = { requests: 0, tokens: 0, promptTokens: 0, cost: 0 };
+  let unpricedRequests = 0;
+  let noUsageRequests = 0;
+  let abandonedAttempts = 0;
+  for (const [, entry] of included) {
+    totals.requests += entry.generations;
+    totals.tokens += entry.totalTokens;
+    totals.promptTokens += entry.promptTokens;
+    totals.cost += entry.cost;
+    unpricedRequests += entry.unpricedGenerations;
+    noUsageRequests += entry.noUsageGenerations || 0;
+    abandonedAttempts += entry.abandonedAttempts || 0;
+  }
+
+  const analysis = {
+    timeRange: timeframe,
+    from,
+    summary: {
+      totalRequests: totals.requests,
+      totalTokens: totals.tokens,
+      averageTokensPerRequest:
+        totals.requests > 0 ? Math.round(totals.tokens / totals.requests) : 0,
+      costEstimation: formatCost(totals.cost),
+      unpricedRequests,
+      noUsageRequests,
+      abandonedAttempts,
+    },
+    providerBreakdown: Object.fromEntries(
+      included.map(([provider, entry]) => [
+        provider,
+        {
+          requests: entry.generations,
+          tokens: entry.totalTokens,
+          cost: formatCost(entry.cost),
+        },
+      ]),
+    ),
+  };
+
+  if (includeOptimizations) {
+    const suggestions = [];
+    const [topProvider, topEntry] =
+      included.sort(([, a], [, b]) => b.cost - a.cost)[0] || [];
+    if (included.length > 1 && topEntry.cost > totals.cost / 2) {
+      suggestions.push(
+        `${topProvider} accounts for ${Math.round((topEntry.cost / totals.cost) * 100)}% of the estimated cost; consider lower-cost providers for simple tasks`,
+      );
+    }
+    if (totals.promptTokens > (totals.tokens - totals.promptTokens) * 3) {
+      suggestions.push(
+        "Prompts are much longer than the responses; shortening them would reduce input costs",
+      );
+    }
+    if (!getResponseCacheStats().enabled) {
+      suggestions.push(
+        "Enable the response cache (RESPONSE_CACHE_ENABLED=true) for repeated queries",
+      );
+    }
+    if (unpricedRequests > 0) {
+      suggestions.push(
+        "Add prices for unpriced models to .pricing.json so the cost estimate is complete",
+      );
+    }
+    if (noUsageRequests > 0) {
+      suggestions.push(
+        `${noUsageRequests} requests reported no token usage and are missing from the cost estimate`,
+      );
+    }
+    analysis.optimizationSuggestions = suggestions;
+  }
+
+  return analysis;
+}
+
 /**
  * POST /api/ai/analyze-usage
- * Analyze AI usage patterns and provide optimization suggestions
+ * Analyze recorded usage and estimated costs and suggest optimizations
  */
 app.post(
   "/api/ai/analyze-usage",
@@ -1282,8 +3272,8 @@ app.post(
 
     console.log(`[AI Tools] Analyzing usage for timeframe: ${timeframe}`);
 
-    const analysisData = generateMockAnalysisData("analyze-ai-usage", {
-      timeRange: timeframe,
+    const analysisData = buildUsageAnalysis({
+      timeframe,
       providers,
       includeOptimizations,
     });
@@ -1342,7 +3332,7 @@ app.post(
     const { prompt, style = "balanced", optimizeFor = "quality" } = req.body;
 
     if (!prompt) {
-      return res.status(400).json(createErrorResponse("Prompt is required"));
+      throw new ValidationError("Prompt is required");
     }
 
     console.log(
@@ -1381,9 +3371,7 @@ app.post(
     } = req.body;
 
     if (!codeFunction) {
-      return res
-        .status(400)
-        .json(createErrorResponse("Code function is required"));
+      throw new ValidationError("Code function is required");
     }
 
     const testPrompt = `Generate comprehensive ${framework} test cases for this function:
@@ -1399,6 +3387,9 @@ Create ${testTypes.join(", ")} tests with:
     const result = await generateWithProvider("auto", testPrompt, {
       maxTokens: 800,
       temperature: 0.4,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
@@ -1409,6 +3400,8 @@ Create ${testTypes.join(", ")} tests with:
           framework,
           testTypes,
           usage: result.usage,
+          cost: result.cost,
+          cache: result.cache,
         },
       }),
     );
@@ -1425,7 +3418,7 @@ app.post(
     const { code, language, goals = ["readability", "performance"] } = req.body;
 
     if (!code) {
-      return res.status(400).json(createErrorResponse("Code is required"));
+      throw new ValidationError("Code is required");
     }
 
     const refactorPrompt = `Refactor this ${language} code focusing on ${goals.join(" and ")}:
@@ -1441,6 +3434,9 @@ Provide:
     const result = await generateWithProvider("auto", refactorPrompt, {
       maxTokens: 800,
       temperature: 0.3,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
@@ -1451,6 +3447,8 @@ Provide:
           language,
           goals,
           usage: result.usage,
+          cost: result.cost,
+          cache: result.cache,
         },
       }),
     );
@@ -1467,7 +3465,7 @@ app.post(
     const { code, language, docType = "api" } = req.body;
 
     if (!code) {
-      return res.status(400).json(createErrorResponse("Code is required"));
+      throw new ValidationError("Code is required");
     }
 
     const docPrompt = `Generate comprehensive ${docType} documentation for this ${language} code:
@@ -1484,6 +3482,9 @@ Include:
     const result = await generateWithProvider("auto", docPrompt, {
       maxTokens: 700,
       temperature: 0.3,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
@@ -1494,6 +3495,8 @@ Include:
           language,
           docType,
           usage: result.usage,
+          cost: result.cost,
+          cache: result.cache,
         },
       }),
     );
@@ -1510,7 +3513,7 @@ app.post(
     const { aiOutput, expectedResult, analysisType = "quality" } = req.body;
 
     if (!aiOutput) {
-      return res.status(400).json(createErrorResponse("AI output is required"));
+      throw new ValidationError("AI output is required");
     }
 
     const debugPrompt = `Analyze this AI output for ${analysisType} issues:
@@ -1530,6 +3533,9 @@ Provide:
     const result = await generateWithProvider("auto", debugPrompt, {
       maxTokens: 600,
       temperature: 0.4,
+      abortSignal: req.abortSignal,
+      endpoint: req.path,
+      cache: req.body.cache,
     });
 
     res.json(
@@ -1539,6 +3545,8 @@ Provide:
           analysis: result.content,
           analysisType,
           usage: result.usage,
+          cost: result.cost,
+          cache: result.cache,
         },
       }),
     );
@@ -1558,9 +3566,17 @@ app.use((error, req, res, next) => {
 
   usageStats.errors++;
 
-  const statusCode = error.statusCode || 500;
+  // Express body-parser errors carry a 4xx status but no typed error code
+  const typedError =
+    error instanceof AppError
+      ? error
+      : error.statusCode === 400
+        ? new ValidationError(error.message, { cause: error })
+        : error;
+
+  const statusCode = typedError.statusCode || 500;
   const errorResponse = createErrorResponse(
-    error.message || "Internal server error",
+    typedError.message ? typedError : "Internal server error",
     {
       path: req.path,
       method: req.method,
@@ -1576,9 +3592,12 @@ app.use((error, req, res, next) => {
  */
 app.use("*", (req, res) => {
   res.status(404).json(
-    createErrorResponse(`Route not found: ${req.method} ${req.originalUrl}`, {
-      availableRoutes: ["/api/status", "/api/generate", "/api/benchmark"],
-    }),
+    createErrorResponse(
+      new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`),
+      {
+        availableRoutes: ["/api/status", "/api/generate", "/api/benchmark"],
+      },
+    ),
   );
 });
 
@@ -1601,10 +3620,18 @@ app.listen(PORT, () => {
 ⚡ Real-time Features: Provider monitoring, benchmarking, analytics
 
 Core Endpoints:
-• POST /api/generate - Text generation with provider selection
-• GET /api/status - Real-time provider availability
+• POST /api/generate - Text generation with provider selection (stream: true for SSE)
+• GET /api/status - Cached provider health (?refresh=true to re-check)
+• GET /api/status/history - Uptime timeline per provider
+• GET /api/models - Model catalog with pricing and capabilities
+• POST /api/ollama/models - Pull an Ollama model (streamed progress)
+• DELETE /api/ollama/models/:name - Delete an Ollama model
+• /api/conversations - Multi-turn conversation sessions
+• /api/schemas - Schema registry for POST /api/schema
 • POST /api/benchmark - Performance testing across providers
 • GET /api/analytics - Usage statistics and insights
+• GET /api/analytics/costs - Estimated costs by day, provider and endpoint
+• DELETE /api/cache - Clear the response and semantic caches
 
 Business Tools:
 • POST /api/business/email - Professional email generation
@@ -1633,6 +3660,8 @@ MCP Integration:
 • GET /api/mcp/servers - MCP server management
 • POST /api/mcp/execute - Tool execution
 • GET /api/mcp/status - System status
+• GET /api/tools - Tools offered to /api/generate
+• POST /api/tool-calls/:id/approve - Approve a pending tool call
 
 📊 Monitoring: Real-time usage statistics and error tracking
 🔧 Configuration: Environment-based provider setup
@@ -1655,6 +3684,9 @@ MCP Integration:
   console.log(
     "\n🎯 All systems ready! Start testing at: http://localhost:" + PORT + "\n",
   );
+
+  // Check providers in the background so /api/status answers from cache
+  startHealthMonitor(ALL_PROVIDERS, testProviderAvailability);
 });
 
 // ================================
@@ -1666,10 +3698,12 @@ MCP Integration:
  */
 process.on("SIGTERM", () => {
   console.log("\n🛑 Received SIGTERM, shutting down gracefully...");
+  closeAllSessions();
   process.exit(0);
 });
 
 process.on("SIGINT", () => {
   console.log("\n🛑 Received SIGINT, shutting down gracefully...");
+  closeAllSessions();
   process.exit(0);
 });
@@ -0,0 +1,204 @@
+/**
+ * Provider Status History for NeuroLink Demo Server
+ *
+ * Keeps a rolling time series of health-check results per provider and
+ * saves it to .status-history.json, so uptime and degradation periods
+ * survive restarts and can be charted in the Provider Status tab.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createFileWriter } from "./file-writer.js";
+
+// Status history file path
+const STATUS_HISTORY_FILE =
+  process.env.STATUS_HISTORY_FILE ||
+  path.join(process.cwd(), ".status-history.json");
+
+// How long samples are kept (ms)
+const RETENTION_MS =
+  parseInt(process.env.STATUS_HISTORY_RETENTION_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Window used when the caller does not pass one
+const DEFAULT_WINDOW = "1h";
+
+// Units accepted in window strings such as "30m" or "24h"
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 86400000 };
+
+// Samples per provider, oldest first
+const history = loadStatusHistory();
+const writeStatusHistory = createFileWriter(STATUS_HISTORY_FILE, () =>
+  JSON.stringify(history),
+);
+
+/**
+ * Load saved history, dropping samples older than the retention period
+ * @returns {Object} Samples keyed by provider
+ */
+function loadStatusHistory() {
+  try {
+    if (fs.existsSync(STATUS_HISTORY_FILE)) {
+      const saved = JSON.parse(fs.readFileSync(STATUS_HISTORY_FILE, "utf8"));
+      const cutoff = Date.now() - RETENTION_MS;
+      return Object.fromEntries(
+        Object.entries(saved).map(([provider, samples]) => [
+          provider,
+          samples.filter((sample) => sample.t >= cutoff),
+        ]),
+      );
+    }
+  } catch (error) {
+    console.error(
+      `[History] Failed to load ${STATUS_HISTORY_FILE}:`,
+      error.message,
+    );
+  }
+  return {};
+}
+
+/**
+ * Record one health-check result
+ * Providers that are not configured are not tracked
+ * @param {string} provider - Provider name
+ * @param {Object} result - Status from the health monitor
+ */
+export function recordStatusSample(provider, result) {
+  if (!result.configured) {
+    return;
+  }
+
+  const samples = (history[provider] ||= []);
+  samples.push({
+    t: Date.parse(result.checkedAt) || Date.now(),
+    available: !!result.available,
+    latencyMs: result.latencyMs ?? null,
+    errorCode: result.available ? null : result.errorCode || "UNAVAILABLE",
+  });
+
+  // Drop samples that have aged out of the retention period
+  const cutoff = Date.now() - RETENTION_MS;
+  while (samples.length > 0 && samples[0].t < cutoff) {
+    samples.shift();
+  }
+}
+
+/**
+ * Write the history to disk
+ * @returns {Promise<void>}
+ */
+export async function saveStatusHistory() {
+  try {
+    await writeStatusHistory();
+  } catch (error) {
+    console.error(
+      `[History] Failed to save ${STATUS_HISTORY_FILE}:`,
+      error.message,
+    );
+  }
+}
+
+/**
+ * Parse a window such as "30m", "24h" or a plain number of milliseconds
+ * @param {string} [window] - Window string
+ * @returns {number|null} Window in milliseconds, or null if invalid
+ */
+export function parseWindow(window = DEFAULT_WINDOW) {
+  const match = /^(\d+)(s|m|h|d)?$/.exec(String(window).trim());
+  if (!match) {
+    return null;
+  }
+  const ms = Number(match[1]) * (match[2] ? WINDOW_UNITS[match[2]] : 1);
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Group consecutive failed checks into degradation periods
+ * @param {Object[]} samples - Samples in time order
+ * @returns {Object[]} Periods with start, end (null if ongoing) and error codes
+ */
+function findIncidents(samples) {
+  const incidents = [];
+  let current = null;
+
+  for (const sample of samples) {
+    if (!sample.available) {
+      if (!current) {
+        current = { start: sample.t, end: null, checks: 0, errorCodes: [] };
+        incidents.push(current);
+      }
+      current.checks++;
+      if (!current.errorCodes.includes(sample.errorCode)) {
+        current.errorCodes.push(sample.errorCode);
+      }
+    } else if (current) {
+      current.end = sample.t;
+      current = null;
+    }
+  }
+
+  return incidents.map((incident) => ({
+    ...incident,
+    start: new Date(incident.start).toISOString(),
+    end: incident.end ? new Date(incident.end).toISOString() : null,
+  }));
+}
+
+/**
+ * Summarize one provider's samples within a window
+ * @param {Object[]} samples - Samples in the window
+ * @returns {Object} Uptime, latency, incidents and the samples themselves
+ */
+function summarizeSamples(samples) {
+  const up = samples.filter((sample) => sample.available);
+  const latencies = up
+    .map((sample) => sample.latencyMs)
+    .filter((latency) => latency !== null);
+
+  return {
+    checks: samples.length,
+    failures: samples.length - up.length,
+    uptimePercent:
+      samples.length > 0
+        ? Math.round((up.length / samples.length) * 10000) / 100
+        : null,
+    averageLatencyMs:
+      latencies.length > 0
+        ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length)
+        : null,
+    incidents: findIncidents(samples),
+    samples: samples.map((sample) => ({
+      ...sample,
+      t: new Date(sample.t).toISOString(),
+    })),
+  };
+}
+
+/**
+ * Get status history for one or all providers
+ * @param {Object} [options] - Query options
+ * @param {string} [options.provider] - Limit to one provider
+ * @param {number} options.windowMs - How far back to look (ms)
+ * @returns {Object} Summary keyed by provider
+ */
+export function getStatusHistory({ provider, windowMs }) {
+  const since = Date.now() - windowMs;
+  const providers = provider ? [provider] : Object.keys(history);
+
+  return Object.fromEntries(
+    providers.map((name) => [
+      name,
+      summarizeSamples((history[name] || []).filter((s) => s.t >= since)),
+    ]),
+  );
+}
+
+/**
+ * Get history settings for status reporting
+ * @returns {Object} Retention period and default window
+ */
+export function getStatusHistoryConfig() {
+  return {
+    retentionMs: RETENTION_MS,
+    defaultWindow: DEFAULT_WINDOW,
+  };
+}
@@ -0,0 +1,394 @@
+/**
+ * Structured Output for NeuroLink Demo Server
+ *
+ * Turns model responses into schema-valid JSON. The JSON is pulled out of
+ * markdown fences or surrounding prose, validated with the local JSON
+ * Schema validator, and when it does not match, the validation errors are
+ * sent back to the model for a limited number of repair attempts.
+ */
+
+import { validateJSONSchema, formatSchemaErrors } from "./json-schema.js";
+import { SchemaValidationError } from "./errors.js";
+import { sumCosts } from "./pricing.js";
+
+// Repair attempts after the first response fails validation
+const SCHEMA_REPAIR_ATTEMPTS = parseInt(
+  process.env.SCHEMA_REPAIR_ATTEMPTS ?? "2",
+  10,
+);
+
+// Most repair attempts a request may ask for; each one is a billed generation
+export const SCHEMA_REPAIR_LIMIT =
+  parseInt(process.env.SCHEMA_REPAIR_LIMIT, 10) || 5;
+
+/**
+ * Find the end of the JSON object or array starting at an index
+ * Brackets inside strings are ignored
+ * @param {string} text - Text containing JSON
+ * @param {number} start - Index of the opening { or [
+ * @returns {number} Index of the matching closing bracket, or -1
+ */
+function findClosingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === "\\") {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      depth++;
+    } else if (char === "}" || char === "]") {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Pull a JSON value out of a model response
+ * Tries the whole text, then a ```json fence, then the first balanced
+ * object or array embedded in prose
+ * @param {string} text - Model response
+ * @returns {Object} { value, method } on success, or { error } if no JSON parses
+ */
+export function extractJSON(text) {
+  const trimmed = (text || "").trim();
+
+  try {
+    return { value: JSON.parse(trimmed), method: "direct" };
+  } catch {
+    // Not bare JSON, keep looking
+  }
+
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(trimmed);
+  if (fenced) {
+    try {
+      return { value: JSON.parse(fenced[1].trim()), method: "fenced" };
+    } catch {
+      // Fence did not hold valid JSON, fall back to scanning
+    }
+  }
+
+  for (let start = 0; start < trimmed.length; start++) {
+    if (trimmed[start] !== "{" && trimmed[start] !== "[") {
+      continue;
+    }
+    const end = findClosingBracket(trimmed, start);
+    if (end === -1) {
+      break;
+    }
+    try {
+      return {
+        value: JSON.parse(trimmed.slice(start, end + 1)),
+        method: "embedded",
+      };
+    } catch {
+      // Balanced but not JSON (e.g. "[citation]"), try the next bracket
+    }
+  }
+
+  return { error: "Response does not contain valid JSON" };
+}
+
+/**
+ * Parse the JSON received so far from a response that is still streaming
+ * Unfinished strings, arrays and objects are closed where the text ends,
+ * and a key whose value has not started yet is left out
+ * @param {string} text - Response text so far, possibly with a leading fence or prose
+ * @returns {*} Best-effort partial value, or undefined if no JSON has started
+ */
+export function parsePartialJSON(text) {
+  let i = text.search(/[{[]/);
+  if (i === -1) {
+    return undefined;
+  }
+
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      i++;
+    }
+  };
+
+  // Give up on the rest of the text and return what was parsed
+  const stop = (value) => {
+    i = text.length;
+    return { value, complete: false };
+  };
+
+  const parseString = () => {
+    let value = "";
+    i++; // Opening quote
+    while (i < text.length) {
+      const char = text[i];
+      if (char === '"') {
+        i++;
+        return { value, complete: true };
+      }
+      if (char === "\\") {
+        const escaped = text[i + 1];
+        if (escaped === undefined) {
+          break;
+        }
+        if (escaped === "u") {
+          const hex = text.slice(i + 2, i + 6);
+          if (hex.length < 4) {
+            break;
+          }
+          value += String.fromCharCode(parseInt(hex, 16));
+          i += 6;
+        } else {
+          value +=
+            { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" }[escaped] ?? escaped;
+          i += 2;
+        }
+        continue;
+      }
+      value += char;
+      i++;
+    }
+    return stop(value);
+  };
+
+  const parseArray = () => {
+    const value = [];
+    i++; // Opening bracket
+    for (;;) {
+      skipWhitespace();
+      if (i >= text.length) {
+        return { value, complete: false };
+      }
+      if (text[i] === "]") {
+        i++;
+        return { value, complete: true };
+      }
+      if (text[i] === ",") {
+        i++;
+        continue;
+      }
+      const item = parseValue();
+      if (!item) {
+        return stop(value);
+      }
+      value.push(item.value);
+      if (!item.complete) {
+        return stop(value);
+      }
+    }
+  };
+
+  const parseObject = () => {
+    const value = {};
+    i++; // Opening brace
+    for (;;) {
+      skipWhitespace();
+      if (i >= text.length) {
+        return { value, complete: false };
+      }
+      if (text[i] === "}") {
+        i++;
+        return { value, complete: true };
+      }
+      if (text[i] === ",") {
+        i++;
+        continue;
+      }
+      if (text[i] !== '"') {
+        return stop(value);
+      }
+      const key = parseString();
+      skipWhitespace();
+      if (!key.complete || text[i] !== ":") {
+        return stop(value);
+      }
+      i++;
+      const property = parseValue();
+      if (!property) {
+        return stop(value);
+      }
+      value[key.value] = property.value;
+      if (!property.complete) {
+        return stop(value);
+      }
+    }
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    if (text[i] === "{") {
+      return parseObject();
+    }
+    if (text[i] === "[") {
+      return parseArray();
+    }
+    if (text[i] === '"') {
+      return parseString();
+    }
+
+    // Numbers and literals are only used once they form a valid token
+    const token = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(
+      text.slice(i),
+    );
+    if (!token) {
+      return null;
+    }
+    i += token[0].length;
+    return { value: JSON.parse(token[0]), complete: i < text.length };
+  };
+
+  return parseValue()?.value;
+}
+
+/**
+ * Track streamed text and report the partial JSON whenever it changes
+ * @param {Function} onPartial - Called with each new partial value
+ * @returns {Function} Chunk handler for streamWithProvider
+ */
+export function createPartialJSONTracker(onPartial) {
+  let text = "";
+  let lastSent;
+
+  return (chunk) => {
+    text += chunk;
+    const value = parsePartialJSON(text);
+    const serialized = JSON.stringify(value);
+    if (value !== undefined && serialized !== lastSent) {
+      lastSent = serialized;
+      onPartial(value);
+    }
+  };
+}
+
+/**
+ * Build the instructions asking for JSON that matches a schema
+ * @param {string} prompt - Content prompt
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Prompt for the first attempt
+ */
+function buildStructuredPrompt(prompt, schema) {
+  return `${prompt}
+
+Respond with only a JSON value that matches this JSON Schema, with no markdown or commentary:
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Build the prompt asking the model to fix its previous response
+ * @param {string} prompt - Content prompt
+ * @param {Object} schema - JSON Schema
+ * @param {string} previous - Previous response text
+ * @param {string} problems - What was wrong with it
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(prompt, schema, previous, problems) {
+  return `${buildStructuredPrompt(prompt, schema)}
+
+Your previous response was:
+${previous}
+
+It was rejected because:
+${problems}
+
+Return corrected JSON only.`;
+}
+
+/**
+ * Check one response against the schema
+ * @param {Object} result - Generation result with content and optional object
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Parsed value, extraction method and validation errors
+ */
+function checkResponse(result, schema) {
+  // Providers without native structured output may send object: null
+  const extracted =
+    result.object != null
+      ? { value: result.object, method: "provider" }
+      : extractJSON(result.content);
+
+  if (extracted.error) {
+    return {
+      method: null,
+      errors: [{ path: "$", message: extracted.error }],
+    };
+  }
+
+  return {
+    value: extracted.value,
+    method: extracted.method,
+    errors: validateJSONSchema(schema, extracted.value),
+  };
+}
+
+/**
+ * Generate JSON that matches a schema, repairing invalid responses
+ * @param {string} prompt - Content prompt
+ * @param {Object} options - Structured output options
+ * @param {Object} options.schema - JSON Schema the output must match
+ * @param {Function} options.generate - Async (prompt, attempt) => generation result
+ * @param {number} [options.maxRepairAttempts] - Repairs after the first attempt
+ * @param {Function} [options.onRepair] - Called with the errors before each repair
+ * @returns {Promise<Object>} Data, final result, validation, repair count, combined usage and cost
+ * @throws {SchemaValidationError} If no attempt produced valid JSON
+ */
+export async function generateStructuredOutput(
+  prompt,
+  { schema, generate, maxRepairAttempts = SCHEMA_REPAIR_ATTEMPTS, onRepair },
+) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const costs = [];
+  let attemptPrompt = buildStructuredPrompt(prompt, schema);
+
+  for (let repairAttempts = 0; ; repairAttempts++) {
+    const result = await generate(attemptPrompt, repairAttempts + 1);
+    for (const key of Object.keys(usage)) {
+      usage[key] += result.usage?.[key] || 0;
+    }
+    costs.push(result.cost);
+
+    const { value, method, errors } = checkResponse(result, schema);
+    if (errors.length === 0) {
+      return {
+        data: value,
+        result,
+        validation: { valid: true, errors: [], extraction: method },
+        repairAttempts,
+        usage,
+        cost: sumCosts(costs),
+      };
+    }
+
+    const problems = formatSchemaErrors(errors);
+    console.log(
+      `[Schema] Attempt ${repairAttempts + 1} failed validation: ${problems.replace(/\n/g, "; ")}`,
+    );
+
+    if (repairAttempts >= maxRepairAttempts) {
+      throw new SchemaValidationError(
+        `Output did not match the schema after ${repairAttempts} repair attempts`,
+        {
+          details: {
+            validation: { valid: false, errors, extraction: method },
+            repairAttempts,
+            rawText: result.content,
+            provider: result.provider,
+            usage,
+            cost: sumCosts(costs),
+          },
+        },
+      );
+    }
+
+    onRepair?.({ attempt: repairAttempts + 2, errors });
+    attemptPrompt = buildRepairPrompt(prompt, schema, result.content, problems);
+  }
+}
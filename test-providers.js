@@ -1,5 +1,6 @@
 import dotenv from "dotenv";
 import { createAIProvider, getBestProvider } from "neurolink";
+import { classifyProviderError } from "./errors.js";
 
 // Load environment variables
 dotenv.config();
@@ -287,30 +288,9 @@ async function testProviderInitialization(providerName) {
   }
 }
 
+// Map errors onto the same stable codes the demo server returns
 function categorizeError(error) {
-  const message = error.message.toLowerCase();
-
-  if (
-    message.includes("api key") ||
-    message.includes("authentication") ||
-    message.includes("unauthorized")
-  ) {
-    return "AUTHENTICATION_ERROR";
-  } else if (
-    message.includes("network") ||
-    message.includes("timeout") ||
-    message.includes("connection")
-  ) {
-    return "NETWORK_ERROR";
-  } else if (message.includes("rate limit") || message.includes("quota")) {
-    return "RATE_LIMIT_ERROR";
-  } else if (message.includes("prompt") || message.includes("invalid")) {
-    return "VALIDATION_ERROR";
-  } else if (message.includes("model") || message.includes("not found")) {
-    return "MODEL_ERROR";
-  } else {
-    return "UNKNOWN_ERROR";
-  }
+  return classifyProviderError(error).code;
 }
 
 // Enhanced API testing with different prompt types
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { AuthError, ValidationError } from "../errors.js";
+
+// Thresholds are read when the module loads
+process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = "2";
+process.env.CIRCUIT_BREAKER_COOLDOWN_MS = "50";
+
+const {
+  canAttemptProvider,
+  recordProviderSuccess,
+  recordProviderFailure,
+  getCircuitBreakerStatus,
+} = await import("../circuit-breaker.js");
+
+/**
+ * Get the breaker state of a provider
+ * @param {string} provider - Provider name
+ * @returns {string} "closed", "open" or "half-open"
+ */
+function stateOf(provider) {
+  return getCircuitBreakerStatus().providers[provider].state;
+}
+
+/**
+ * Fail a provider until its breaker opens
+ * @param {string} provider - Provider name
+ */
+function openBreaker(provider) {
+  recordProviderFailure(provider, new Error("first"));
+  recordProviderFailure(provider, new Error("second"));
+}
+
+describe("circuit breaker", () => {
+  it("stays closed below the failure threshold", () => {
+    recordProviderFailure("below", new Error("boom"));
+    assert.equal(canAttemptProvider("below"), true);
+    assert.equal(stateOf("below"), "closed");
+  });
+
+  it("opens at the threshold and blocks requests during the cooldown", () => {
+    openBreaker("opened");
+    const status = getCircuitBreakerStatus().providers.opened;
+    assert.equal(status.state, "open");
+    assert.equal(status.lastError, "second");
+    assert.equal(canAttemptProvider("opened"), false);
+  });
+
+  it("allows one probe once the cooldown has elapsed", async () => {
+    openBreaker("probe");
+    await sleep(60);
+    assert.equal(canAttemptProvider("probe"), true);
+    assert.equal(stateOf("probe"), "half-open");
+    assert.equal(canAttemptProvider("probe"), false);
+  });
+
+  it("closes when the probe succeeds", async () => {
+    openBreaker("recovers");
+    await sleep(60);
+    canAttemptProvider("recovers");
+    recordProviderSuccess("recovers");
+    assert.equal(stateOf("recovers"), "closed");
+    assert.equal(canAttemptProvider("recovers"), true);
+  });
+
+  it("reopens when the probe fails", async () => {
+    openBreaker("relapses");
+    await sleep(60);
+    canAttemptProvider("relapses");
+    recordProviderFailure("relapses", new Error("still down"));
+    assert.equal(stateOf("relapses"), "open");
+    assert.equal(canAttemptProvider("relapses"), false);
+  });
+
+  it("releases a probe slot that never reported back", async () => {
+    openBreaker("abandoned");
+    await sleep(60);
+    canAttemptProvider("abandoned");
+    await sleep(60);
+    assert.equal(canAttemptProvider("abandoned"), true);
+  });
+
+  it("does not count client errors", () => {
+    recordProviderFailure("client", new ValidationError("bad request"));
+    recordProviderFailure("client", new AuthError("invalid api key"));
+    recordProviderFailure("client", { status: 400, message: "bad input" });
+    const status = getCircuitBreakerStatus().providers.client;
+    assert.equal(status.state, "closed");
+    assert.equal(status.consecutiveFailures, 0);
+  });
+
+  it("releases the probe slot without reopening on a client error", async () => {
+    openBreaker("probe-client");
+    await sleep(60);
+    canAttemptProvider("probe-client");
+    recordProviderFailure("probe-client", new ValidationError("bad request"));
+    assert.equal(stateOf("probe-client"), "half-open");
+    assert.equal(canAttemptProvider("probe-client"), true);
+  });
+
+  it("resets the failure count after a success", () => {
+    recordProviderFailure("reset", new Error("boom"));
+    recordProviderSuccess("reset");
+    recordProviderFailure("reset", new Error("boom"));
+    assert.equal(stateOf("reset"), "closed");
+  });
+});
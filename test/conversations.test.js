@@ -0,0 +1,91 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Conversations are loaded when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "conversations-"));
+process.env.CONVERSATIONS_FILE = path.join(dir, "conversations.json");
+
+const {
+  createConversation,
+  getConversation,
+  appendMessages,
+  buildConversationPrompt,
+} = await import("../conversations.js");
+const { ValidationError } = await import("../errors.js");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("appendMessages", () => {
+  it("stores messages and titles the conversation after the first question", () => {
+    const { id } = createConversation();
+    appendMessages(id, [
+      { role: "user", content: "How do tides work?" },
+      { role: "assistant", content: "The moon pulls on the oceans." },
+    ]);
+
+    const conversation = getConversation(id);
+    assert.equal(conversation.messages.length, 2);
+    assert.equal(conversation.title, "How do tides work?");
+  });
+
+  it("rejects content that is not text without storing anything", () => {
+    const { id } = createConversation();
+    for (const content of [{ a: 1 }, 42, ["hi"], "   ", undefined]) {
+      assert.throws(
+        () =>
+          appendMessages(id, [
+            { role: "user", content: "Valid question" },
+            { role: "assistant", content },
+          ]),
+        ValidationError,
+        JSON.stringify(content),
+      );
+    }
+    assert.equal(getConversation(id).messages.length, 0);
+    assert.equal(getConversation(id).title, "New conversation");
+  });
+
+  it("rejects unknown roles", () => {
+    const { id } = createConversation();
+    assert.throws(
+      () => appendMessages(id, [{ role: "system", content: "Be terse" }]),
+      ValidationError,
+    );
+  });
+});
+
+describe("buildConversationPrompt", () => {
+  it("keeps the newest turns that fit the token budget", () => {
+    const { id } = createConversation();
+    appendMessages(id, [
+      { role: "user", content: "a".repeat(400) },
+      { role: "assistant", content: "Short answer" },
+    ]);
+
+    const { prompt, context } = buildConversationPrompt(
+      getConversation(id),
+      "Follow-up",
+      50,
+    );
+    assert.deepEqual(
+      {
+        included: context.includedMessages,
+        truncated: context.truncatedMessages,
+      },
+      { included: 1, truncated: 1 },
+    );
+    assert.match(prompt, /\[1 earlier messages omitted\]/);
+    assert.match(prompt, /Assistant: Short answer/);
+    assert.match(prompt, /User: Follow-up/);
+  });
+
+  it("sends the prompt alone when there is no history", () => {
+    const { prompt } = buildConversationPrompt(createConversation(), "Hello");
+    assert.equal(prompt, "Hello");
+  });
+});
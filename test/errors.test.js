@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyProviderError,
+  AuthError,
+  RateLimitError,
+  ModelNotFoundError,
+  TimeoutError,
+  ProviderUnavailableError,
+  ValidationError,
+  ProviderError,
+} from "../errors.js";
+
+describe("classifyProviderError", () => {
+  it("maps HTTP statuses to typed errors", () => {
+    const cases = [
+      [401, AuthError],
+      [403, AuthError],
+      [429, RateLimitError],
+      [404, ModelNotFoundError],
+      [503, ProviderUnavailableError],
+      [400, ValidationError],
+      [500, ProviderError],
+    ];
+    for (const [status, type] of cases) {
+      const error = Object.assign(new Error("Request failed"), { status });
+      assert.ok(classifyProviderError(error) instanceof type, String(status));
+    }
+  });
+
+  it("recognizes SDK and network messages", () => {
+    const cases = [
+      ["Invalid API key provided", AuthError],
+      ["Rate limit reached for requests", RateLimitError],
+      ["You exceeded your current quota", RateLimitError],
+      ["The model `gpt-5` does not exist or was not found", ModelNotFoundError],
+      ["Request timed out", TimeoutError],
+      ["connect ECONNREFUSED 127.0.0.1:11434", ProviderUnavailableError],
+      ["fetch failed", ProviderUnavailableError],
+      ["Something odd happened", ProviderError],
+    ];
+    for (const [message, type] of cases) {
+      assert.ok(
+        classifyProviderError(new Error(message)) instanceof type,
+        message,
+      );
+    }
+  });
+
+  it("marks only transient failures as retryable", () => {
+    assert.equal(classifyProviderError(new Error("429")).retryable, true);
+    assert.equal(classifyProviderError(new Error("ETIMEDOUT")).retryable, true);
+    assert.equal(classifyProviderError(new Error("401")).retryable, false);
+  });
+
+  it("keeps the original error as the cause and typed errors as they are", () => {
+    const original = new Error("socket hang up");
+    const typed = classifyProviderError(original);
+    assert.equal(typed.cause, original);
+    assert.equal(typed.code, "PROVIDER_UNAVAILABLE");
+    assert.equal(typed.statusCode, 503);
+    assert.equal(classifyProviderError(typed), typed);
+  });
+
+  it("handles values that are not errors", () => {
+    assert.ok(classifyProviderError("boom") instanceof ProviderError);
+    assert.ok(classifyProviderError(undefined) instanceof ProviderError);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFileWriter } from "../file-writer.js";
+
+describe("createFileWriter", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "file-writer-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes the current content and leaves no temp file", async () => {
+    const file = path.join(dir, "one.json");
+    const write = createFileWriter(file, () => JSON.stringify({ a: 1 }));
+    await write();
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { a: 1 });
+    assert.deepEqual(fs.readdirSync(dir), ["one.json"]);
+  });
+
+  it("folds overlapping writes into one follow-up with the latest content", async () => {
+    const file = path.join(dir, "many.json");
+    const state = { n: 0 };
+    let reads = 0;
+    const write = createFileWriter(file, () => {
+      reads++;
+      return JSON.stringify(state);
+    });
+
+    const pending = [];
+    for (let i = 1; i <= 20; i++) {
+      state.n = i;
+      pending.push(write());
+    }
+    await Promise.all(pending);
+
+    assert.equal(reads, 2);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { n: 20 });
+  });
+
+  it("still runs the follow-up when the write in flight fails", async () => {
+    const file = path.join(dir, "retry.json");
+    let reads = 0;
+    const write = createFileWriter(file, () => {
+      reads++;
+      if (reads === 1) {
+        throw new Error("disk full");
+      }
+      return "{}";
+    });
+    const first = write();
+    const second = write();
+    await assert.rejects(first, /disk full/);
+    await second;
+    assert.equal(fs.readFileSync(file, "utf8"), "{}");
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateJSONSchema, formatSchemaErrors } from "../json-schema.js";
+
+const profile = {
+  type: "object",
+  properties: {
+    name: { type: "string", minLength: 1 },
+    age: { type: "integer", minimum: 0, maximum: 150 },
+    email: { type: "string", pattern: "^[^@]+@[^@]+$" },
+    role: { enum: ["admin", "user"] },
+    tags: { type: "array", items: { type: "string" }, uniqueItems: true },
+  },
+  required: ["name", "age"],
+  additionalProperties: false,
+};
+
+describe("validateJSONSchema", () => {
+  it("accepts a matching value", () => {
+    assert.deepEqual(
+      validateJSONSchema(profile, {
+        name: "Ada",
+        age: 36,
+        email: "ada@example.com",
+        role: "admin",
+        tags: ["math"],
+      }),
+      [],
+    );
+  });
+
+  it("reports every problem with its JSON path", () => {
+    const errors = validateJSONSchema(profile, {
+      age: 200,
+      email: "nope",
+      role: "owner",
+      tags: ["a", "a", 3],
+      extra: true,
+    });
+    assert.deepEqual(
+      errors.map((error) => error.path).sort(),
+      [
+        "$.age",
+        "$.email",
+        "$.extra",
+        "$.name",
+        "$.role",
+        "$.tags",
+        "$.tags[2]",
+      ].sort(),
+    );
+  });
+
+  it("stops at a type mismatch instead of repeating it", () => {
+    assert.deepEqual(validateJSONSchema(profile, []), [
+      { path: "$", message: "must be object, got array" },
+    ]);
+  });
+
+  it("distinguishes integers from numbers and allows type lists", () => {
+    assert.equal(validateJSONSchema({ type: "integer" }, 1.5).length, 1);
+    assert.equal(validateJSONSchema({ type: "number" }, 1.5).length, 0);
+    assert.equal(
+      validateJSONSchema({ type: ["string", "null"] }, null).length,
+      0,
+    );
+  });
+
+  it("checks numeric bounds", () => {
+    const schema = { exclusiveMinimum: 0, exclusiveMaximum: 10, multipleOf: 2 };
+    assert.equal(validateJSONSchema(schema, 4).length, 0);
+    assert.equal(validateJSONSchema(schema, 0).length, 1);
+    assert.equal(validateJSONSchema(schema, 10).length, 1);
+    assert.equal(validateJSONSchema(schema, 3).length, 1);
+  });
+
+  it("validates additional properties against a schema", () => {
+    const schema = { type: "object", additionalProperties: { type: "number" } };
+    assert.deepEqual(validateJSONSchema(schema, { a: 1, b: "2" }), [
+      { path: "$.b", message: "must be number, got string" },
+    ]);
+  });
+
+  it("supports allOf, anyOf and oneOf", () => {
+    const anyOf = { anyOf: [{ type: "string" }, { type: "integer" }] };
+    assert.equal(validateJSONSchema(anyOf, 3).length, 0);
+    assert.equal(validateJSONSchema(anyOf, true).length, 1);
+
+    const oneOf = { oneOf: [{ type: "number" }, { type: "integer" }] };
+    assert.match(
+      validateJSONSchema(oneOf, 3)[0].message,
+      /exactly one schema in oneOf, matched 2/,
+    );
+
+    const allOf = { allOf: [{ minLength: 2 }, { maxLength: 3 }] };
+    assert.equal(validateJSONSchema(allOf, "abcd").length, 1);
+  });
+
+  it("fails a value instead of throwing when a pattern does not compile", () => {
+    assert.deepEqual(validateJSONSchema({ pattern: "([a-z" }, "abc"), [
+      { path: "$", message: "cannot be checked, invalid pattern ([a-z" },
+    ]);
+  });
+});
+
+describe("formatSchemaErrors", () => {
+  it("puts one error on each line", () => {
+    assert.equal(
+      formatSchemaErrors([
+        { path: "$.a", message: "is required" },
+        { path: "$.b", message: "must be string, got integer" },
+      ]),
+      "$.a is required\n$.b must be string, got integer",
+    );
+  });
+});
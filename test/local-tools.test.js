@@ -0,0 +1,61 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateExpression, executeLocalTool } from "../local-tools.js";
+import { ValidationError } from "../errors.js";
+
+describe("evaluateExpression", () => {
+  it("applies operator precedence", () => {
+    assert.equal(evaluateExpression("2 + 3 * 4"), 14);
+    assert.equal(evaluateExpression("(2 + 3) * 4"), 20);
+    assert.equal(evaluateExpression("10 - 4 - 3"), 3);
+    assert.equal(evaluateExpression("17 % 5 * 2"), 4);
+  });
+
+  it("treats ^ as right-associative and tighter than unary minus", () => {
+    assert.equal(evaluateExpression("2 ^ 3 ^ 2"), 512);
+    assert.equal(evaluateExpression("-2 ^ 2"), -4);
+    assert.equal(evaluateExpression("2 ^ -1"), 0.5);
+    assert.equal(evaluateExpression("--3"), 3);
+  });
+
+  it("reads decimals and exponent notation", () => {
+    assert.equal(evaluateExpression(".5 + 1.25"), 1.75);
+    assert.equal(evaluateExpression("2e3 / 4"), 500);
+  });
+
+  it("supports functions and constants", () => {
+    assert.equal(evaluateExpression("sqrt(16) + max(1, 7, 3)"), 11);
+    assert.equal(evaluateExpression("round(PI * 100)"), 314);
+    assert.equal(evaluateExpression("pow(2, 10)"), 1024);
+  });
+
+  it("rejects malformed expressions with a validation error", () => {
+    for (const expression of ["", "2 +", "(1 + 2", "1 2", "foo(1)", "2 $ 3"]) {
+      assert.throws(
+        () => evaluateExpression(expression),
+        ValidationError,
+        expression,
+      );
+    }
+  });
+
+  it("rejects results that are not finite", () => {
+    assert.throws(() => evaluateExpression("1 / 0"), /not a finite number/);
+    assert.throws(() => evaluateExpression("sqrt(-1)"), ValidationError);
+  });
+
+  it("does not reach JavaScript globals", () => {
+    for (const expression of ["constructor", "process", "toString(1)"]) {
+      assert.throws(() => evaluateExpression(expression), /unknown token/);
+    }
+  });
+});
+
+describe("calculator tool", () => {
+  it("returns the expression with its result", async () => {
+    assert.deepEqual(
+      await executeLocalTool("calculator", { expression: "(17 * 3) / 4" }),
+      { expression: "(17 * 3) / 4", result: 12.75 },
+    );
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The override file is located when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pricing-"));
+process.env.PRICING_FILE = path.join(dir, "pricing.json");
+fs.writeFileSync(
+  process.env.PRICING_FILE,
+  JSON.stringify({
+    openai: { "gpt-4o": { inputPerMillion: 1, outputPerMillion: 2 } },
+    mistral: { "*": { inputPerMillion: 0.1, outputPerMillion: 0.3 } },
+    anthropic: {
+      "claude-3-5-sonnet-20241022": { inputPerMillion: "cheap" },
+    },
+  }),
+);
+
+const { getModelPricing, getCombinedPrice, estimateCost, sumCosts } =
+  await import("../pricing.js");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const sonnet = ["anthropic", "claude-3-5-sonnet-20241022"];
+
+describe("getModelPricing", () => {
+  it("prefers a model override, then a provider-wide override, then the catalog", () => {
+    assert.deepEqual(getModelPricing("openai", "gpt-4o"), {
+      inputPerMillion: 1,
+      outputPerMillion: 2,
+      source: "override",
+    });
+    assert.equal(getModelPricing("mistral", "any-model").inputPerMillion, 0.1);
+    assert.equal(getModelPricing("openai", "gpt-4o-mini").source, "catalog");
+  });
+
+  it("ignores an invalid override", () => {
+    assert.deepEqual(getModelPricing(...sonnet), {
+      inputPerMillion: 3,
+      outputPerMillion: 15,
+      source: "catalog",
+    });
+  });
+
+  it("returns null for a model without a price", () => {
+    assert.equal(getModelPricing("openai", "unknown-model"), null);
+    assert.equal(getCombinedPrice("openai", "unknown-model"), undefined);
+  });
+
+  it("combines input and output prices for ranking", () => {
+    assert.equal(getCombinedPrice(...sonnet), 18);
+  });
+});
+
+describe("estimateCost", () => {
+  it("prices prompt and completion tokens separately", () => {
+    const cost = estimateCost(...sonnet, {
+      promptTokens: 1000,
+      completionTokens: 500,
+      totalTokens: 1500,
+    });
+    assert.deepEqual(
+      {
+        inputCost: cost.inputCost,
+        outputCost: cost.outputCost,
+        totalCost: cost.totalCost,
+        currency: cost.currency,
+      },
+      {
+        inputCost: 0.003,
+        outputCost: 0.0075,
+        totalCost: 0.0105,
+        currency: "USD",
+      },
+    );
+    assert.equal(cost.upperBound, undefined);
+  });
+
+  it("prices a bare total at the output rate as an upper bound", () => {
+    const cost = estimateCost(...sonnet, { totalTokens: 1000 });
+    assert.equal(cost.totalCost, 0.015);
+    assert.equal(cost.upperBound, true);
+  });
+
+  it("marks a call without usage as unpriced rather than free", () => {
+    for (const usage of [undefined, null, {}, { totalTokens: 0 }]) {
+      const cost = estimateCost(...sonnet, usage);
+      assert.equal(cost.totalCost, null, JSON.stringify(usage));
+      assert.equal(cost.unpriced, true);
+      assert.ok(cost.pricing);
+    }
+  });
+
+  it("marks a model without a price as unpriced", () => {
+    const cost = estimateCost("openai", "unknown-model", { totalTokens: 10 });
+    assert.equal(cost.totalCost, null);
+    assert.equal(cost.unpriced, true);
+    assert.equal(cost.pricing, null);
+  });
+});
+
+describe("sumCosts", () => {
+  it("adds priced estimates", () => {
+    const usage = { promptTokens: 1000, completionTokens: 1000 };
+    const total = sumCosts([
+      estimateCost(...sonnet, usage),
+      estimateCost("openai", "gpt-4o", usage),
+    ]);
+    assert.equal(total.totalCost, 0.021);
+    assert.equal(total.generations, 2);
+    assert.equal(total.unpriced, undefined);
+  });
+
+  it("is unpriced if any part is", () => {
+    const total = sumCosts([
+      estimateCost(...sonnet, { totalTokens: 10 }),
+      estimateCost(...sonnet, {}),
+    ]);
+    assert.equal(total.totalCost, null);
+    assert.equal(total.unpriced, true);
+  });
+
+  it("costs nothing for no generations", () => {
+    assert.equal(sumCosts([]).totalCost, 0);
+  });
+});
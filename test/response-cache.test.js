@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when the module loads
+process.env.RESPONSE_CACHE_ENABLED = "true";
+process.env.RESPONSE_CACHE_STORE = "memory";
+process.env.RESPONSE_CACHE_MAX_ENTRIES = "2";
+
+const {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearResponseCache,
+  getResponseCacheStats,
+  assertValidCacheMode,
+} = await import("../response-cache.js");
+const { ValidationError } = await import("../errors.js");
+
+const request = {
+  provider: "openai",
+  model: "gpt-4o",
+  prompt: "Summarize this",
+  systemPrompt: "Be brief",
+  temperature: 0.7,
+  maxTokens: 500,
+};
+
+describe("buildCacheKey", () => {
+  it("is stable for the same request", () => {
+    assert.equal(buildCacheKey(request), buildCacheKey({ ...request }));
+    assert.match(buildCacheKey(request), /^[0-9a-f]{64}$/);
+  });
+
+  it("ignores surrounding whitespace, line endings and provider case", () => {
+    assert.equal(
+      buildCacheKey(request),
+      buildCacheKey({
+        ...request,
+        provider: "OpenAI",
+        prompt: "\n  Summarize this  \n",
+      }),
+    );
+    assert.equal(
+      buildCacheKey({ ...request, prompt: "line one\nline two" }),
+      buildCacheKey({ ...request, prompt: "line one\r\nline two" }),
+    );
+  });
+
+  it("keeps whitespace inside the prompt", () => {
+    assert.notEqual(
+      buildCacheKey({ ...request, prompt: "def f():\n    return 1" }),
+      buildCacheKey({ ...request, prompt: "def f():\n  return 1" }),
+    );
+    assert.notEqual(
+      buildCacheKey({ ...request, prompt: "a b" }),
+      buildCacheKey({ ...request, prompt: "a  b" }),
+    );
+  });
+
+  it("changes with every generation parameter", () => {
+    const base = buildCacheKey(request);
+    for (const change of [
+      { model: "gpt-4o-mini" },
+      { systemPrompt: "Be detailed" },
+      { temperature: 0.2 },
+      { maxTokens: 100 },
+      { schema: { type: "object" } },
+    ]) {
+      assert.notEqual(buildCacheKey({ ...request, ...change }), base);
+    }
+  });
+});
+
+describe("response cache", () => {
+  it("replays a stored result and honours the request modes", () => {
+    clearResponseCache();
+    const key = buildCacheKey(request);
+    assert.equal(getCachedResponse(key), null);
+
+    setCachedResponse(key, { content: "Short" });
+    assert.equal(getCachedResponse(key).result.content, "Short");
+    assert.equal(getCachedResponse(key, "bypass"), null);
+    assert.equal(getCachedResponse(key, "refresh"), null);
+    assert.equal(setCachedResponse("other", {}, "bypass"), null);
+  });
+
+  it("evicts the least recently used entry", () => {
+    clearResponseCache();
+    setCachedResponse("a", { content: "a" });
+    setCachedResponse("b", { content: "b" });
+    getCachedResponse("a");
+    setCachedResponse("c", { content: "c" });
+
+    assert.ok(getCachedResponse("a"));
+    assert.equal(getCachedResponse("b"), null);
+    assert.ok(getResponseCacheStats().evictions >= 1);
+  });
+
+  it("rejects an unknown cache mode", () => {
+    assert.throws(() => assertValidCacheMode("forever"), ValidationError);
+    assertValidCacheMode(undefined);
+  });
+});
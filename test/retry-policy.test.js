@@ -0,0 +1,141 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Delays are read when the module loads
+process.env.RETRY_MAX_ATTEMPTS = "2";
+process.env.RETRY_BASE_DELAY_MS = "5";
+process.env.RETRY_MAX_DELAY_MS = "1000";
+
+const { getRetryAfterMs, getBackoffDelay, isRetryableError, withRetry } =
+  await import("../retry-policy.js");
+
+/**
+ * Build a rate limit error carrying response headers
+ * @param {Object} headers - Response headers
+ * @returns {Error} Error shaped like an SDK error
+ */
+function rateLimited(headers) {
+  return Object.assign(new Error("429 Too Many Requests"), {
+    responseHeaders: headers,
+  });
+}
+
+describe("getRetryAfterMs", () => {
+  it("reads delta-seconds", () => {
+    assert.equal(getRetryAfterMs(rateLimited({ "retry-after": "3" })), 3000);
+  });
+
+  it("reads an HTTP date", () => {
+    const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+    const delay = getRetryAfterMs(rateLimited({ "retry-after": inTwoSeconds }));
+    assert.ok(delay > 0 && delay <= 2000, `unexpected delay ${delay}`);
+  });
+
+  it("treats a date in the past as no wait", () => {
+    const past = new Date(Date.now() - 60000).toUTCString();
+    assert.equal(getRetryAfterMs(rateLimited({ "retry-after": past })), 0);
+  });
+
+  it("reads headers from a Headers object and a retryAfter field", () => {
+    assert.equal(
+      getRetryAfterMs(rateLimited(new Headers({ "Retry-After": "1" }))),
+      1000,
+    );
+    assert.equal(getRetryAfterMs({ retryAfter: 2 }), 2000);
+  });
+
+  it("returns null when there is no usable hint", () => {
+    assert.equal(getRetryAfterMs(new Error("boom")), null);
+    assert.equal(getRetryAfterMs(rateLimited({ "retry-after": "soon" })), null);
+  });
+});
+
+describe("getBackoffDelay", () => {
+  it("stays within the exponential ceiling", () => {
+    for (let i = 0; i < 50; i++) {
+      const delay = getBackoffDelay(2);
+      assert.ok(delay >= 0 && delay <= 20, `unexpected delay ${delay}`);
+    }
+  });
+
+  it("never exceeds the maximum delay", () => {
+    assert.ok(getBackoffDelay(30) <= 1000);
+  });
+});
+
+describe("withRetry", () => {
+  it("retries rate limits and transient failures", async () => {
+    assert.equal(isRetryableError(new Error("socket hang up")), true);
+
+    let calls = 0;
+    const result = await withRetry(
+      async () => {
+        calls++;
+        if (calls < 3) {
+          throw rateLimited({ "retry-after": "0" });
+        }
+        return "ok";
+      },
+      { label: "test" },
+    );
+    assert.equal(result, "ok");
+    assert.equal(calls, 3);
+  });
+
+  it("gives up after the configured retries", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          calls++;
+          throw new Error("ECONNRESET");
+        },
+        { label: "test", maxRetries: 1 },
+      ),
+      /ECONNRESET/,
+    );
+    assert.equal(calls, 2);
+  });
+
+  it("does not retry errors that will not go away", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          calls++;
+          throw Object.assign(new Error("Unauthorized"), { status: 401 });
+        },
+        { label: "test" },
+      ),
+    );
+    assert.equal(calls, 1);
+  });
+
+  it("fails over instead of waiting longer than the maximum delay", async () => {
+    let calls = 0;
+    await assert.rejects(
+      withRetry(
+        async () => {
+          calls++;
+          throw rateLimited({ "retry-after": "60" });
+        },
+        { label: "test" },
+      ),
+    );
+    assert.equal(calls, 1);
+  });
+
+  it("stops waiting when the request is cancelled", async () => {
+    const controller = new AbortController();
+    const pending = withRetry(
+      async () => {
+        throw rateLimited({ "retry-after": "1" });
+      },
+      { label: "test", abortSignal: controller.signal },
+    );
+    const startedAt = Date.now();
+    setTimeout(() => controller.abort(new Error("cancelled")), 20);
+    await assert.rejects(pending, /cancelled/);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
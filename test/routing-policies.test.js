@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+
+// Configuration is read when the module loads
+process.env.ROUTING_CONFIG_FILE = path.join(
+  os.tmpdir(),
+  "missing-routing.json",
+);
+process.env.PRICING_FILE = path.join(os.tmpdir(), "missing-pricing.json");
+process.env.ROUTING_PRIORITY = "openai, anthropic";
+process.env.ROUTING_WEIGHTS = "mistral:0";
+delete process.env.ROUTING_POLICY;
+
+const { orderProviders, recordProviderLatency, isValidRoutingPolicy } =
+  await import("../routing-policies.js");
+const { ValidationError } = await import("../errors.js");
+
+const providers = ["google-ai", "anthropic", "openai", "mistral"];
+
+describe("orderProviders", () => {
+  it("puts the configured priority first and keeps the rest in order", () => {
+    assert.deepEqual(orderProviders(providers, "priority"), [
+      "openai",
+      "anthropic",
+      "google-ai",
+      "mistral",
+    ]);
+  });
+
+  it("uses the configured default policy when none is given", () => {
+    assert.deepEqual(
+      orderProviders(providers),
+      orderProviders(providers, "priority"),
+    );
+  });
+
+  it("ranks the cheapest policy by catalog prices", () => {
+    assert.deepEqual(
+      orderProviders(["anthropic", "openai", "mistral"], "cheapest"),
+      ["mistral", "openai", "anthropic"],
+    );
+  });
+
+  it("puts providers whose model has no price last for cheapest", () => {
+    const models = {
+      mistral: "unknown-model",
+      anthropic: "claude-3-5-sonnet-20241022",
+      openai: "gpt-4o",
+    };
+    assert.deepEqual(
+      orderProviders(["mistral", "anthropic", "openai"], "cheapest", {
+        getModel: (provider) => models[provider],
+      }),
+      ["openai", "anthropic", "mistral"],
+    );
+  });
+
+  it("orders the fastest policy by observed latency, unmeasured last", () => {
+    recordProviderLatency("mistral", 300);
+    recordProviderLatency("anthropic", 100);
+    assert.deepEqual(orderProviders(providers, "fastest"), [
+      "anthropic",
+      "mistral",
+      "google-ai",
+      "openai",
+    ]);
+  });
+
+  it("rotates the round-robin policy on each call", () => {
+    const first = orderProviders(providers, "round-robin");
+    const second = orderProviders(providers, "round-robin");
+    assert.equal(second[0], first[1]);
+    assert.deepEqual([...second].sort(), [...providers].sort());
+  });
+
+  it("never picks a zero-weight provider before the others", () => {
+    for (let i = 0; i < 20; i++) {
+      assert.equal(orderProviders(providers, "weighted").at(-1), "mistral");
+    }
+  });
+
+  it("rejects an unknown policy with a validation error", () => {
+    assert.throws(
+      () => orderProviders(providers, "random"),
+      (error) =>
+        error instanceof ValidationError &&
+        error.details.availablePolicies.includes("cheapest"),
+    );
+    assert.equal(isValidRoutingPolicy("random"), false);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Custom schemas are loaded when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schemas-"));
+process.env.SCHEMAS_FILE = path.join(dir, "schemas.json");
+
+const {
+  assertValidSchema,
+  createSchema,
+  updateSchema,
+  deleteSchema,
+  getSchema,
+} = await import("../schema-registry.js");
+const { ValidationError, NotFoundError } = await import("../errors.js");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const prompt = "Generate a product";
+
+describe("assertValidSchema", () => {
+  it("accepts nested schemas", () => {
+    assertValidSchema({
+      type: "object",
+      properties: {
+        tags: { type: "array", items: { type: "string", pattern: "^[a-z]+$" } },
+        price: { anyOf: [{ type: "number" }, { type: "null" }] },
+      },
+      required: ["tags"],
+      additionalProperties: { type: "string" },
+    });
+  });
+
+  it("names the location of the problem", () => {
+    const cases = [
+      [{ type: "text" }, /schema\.type has unknown type: text/],
+      [
+        { properties: { a: { items: { type: "strng" } } } },
+        /schema\.properties\.a\.items\.type/,
+      ],
+      [{ required: "name" }, /schema\.required must be an array/],
+      [{ anyOf: { type: "string" } }, /schema\.anyOf must be an array/],
+      [{ oneOf: [{ type: 1 }] }, /schema\.oneOf\[0\]\.type/],
+      [
+        { additionalProperties: { pattern: 5 } },
+        /additionalProperties\.pattern must be a string/,
+      ],
+    ];
+    for (const [schema, message] of cases) {
+      assert.throws(() => assertValidSchema(schema), message);
+    }
+  });
+
+  it("rejects a pattern that does not compile", () => {
+    assert.throws(
+      () =>
+        assertValidSchema({
+          properties: { code: { type: "string", pattern: "([a-z" } },
+        }),
+      (error) =>
+        error instanceof ValidationError &&
+        error.statusCode === 400 &&
+        /properties\.code\.pattern is not a valid regular expression/.test(
+          error.message,
+        ),
+    );
+  });
+});
+
+describe("custom schemas", () => {
+  it("creates, updates and deletes a schema", () => {
+    createSchema({ name: "product", prompt, schema: { type: "object" } });
+    assert.equal(getSchema("product").builtIn, false);
+
+    updateSchema("product", { description: "A product" });
+    assert.equal(getSchema("product").description, "A product");
+    assert.equal(getSchema("product").prompt, prompt);
+
+    deleteSchema("product");
+    assert.throws(() => getSchema("product"), NotFoundError);
+  });
+
+  it("rejects bad names, duplicates and changes to built-in schemas", () => {
+    assert.throws(
+      () => createSchema({ name: "has space", prompt, schema: {} }),
+      /name must be/,
+    );
+    assert.throws(
+      () => createSchema({ name: "user-profile", prompt, schema: {} }),
+      /already exists/,
+    );
+    assert.throws(
+      () => updateSchema("user-profile", { prompt }),
+      /cannot be changed/,
+    );
+    assert.throws(() => deleteSchema("user-profile"), /cannot be deleted/);
+  });
+
+  it("rejects an update that would leave the schema malformed", () => {
+    createSchema({ name: "order", prompt, schema: { type: "object" } });
+    assert.throws(
+      () => updateSchema("order", { schema: { type: "obj" } }),
+      ValidationError,
+    );
+    assert.deepEqual(getSchema("order").schema, { type: "object" });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+// Settings are read when the module loads
+process.env.SEMANTIC_CACHE_ENABLED = "true";
+process.env.SEMANTIC_CACHE_THRESHOLD = "0.9";
+delete process.env.SEMANTIC_CACHE_EMBEDDING;
+
+const { withSemanticCache, clearSemanticCache, getSemanticCacheStats } =
+  await import("../semantic-cache.js");
+
+/**
+ * Build a generate function that counts its calls
+ * @param {string} content - Content to answer with
+ * @returns {Function} Generate function
+ */
+function answer(content) {
+  const generate = async () => {
+    generate.calls++;
+    return { content, provider: "openai", model: "gpt-4o" };
+  };
+  generate.calls = 0;
+  return generate;
+}
+
+const text = "Summarize the benefits of unit testing for a small team";
+
+describe("withSemanticCache", () => {
+  beforeEach(() => {
+    clearSemanticCache();
+  });
+
+  it("answers a near-identical request from the cache", async () => {
+    await withSemanticCache("/summarize", { text }, answer("first"));
+
+    const generate = answer("second");
+    const result = await withSemanticCache(
+      "/summarize",
+      { text: `${text.toUpperCase()}!` },
+      generate,
+    );
+    assert.equal(generate.calls, 0);
+    assert.equal(result.content, "first");
+    assert.equal(result.semanticCache.hit, true);
+    assert.equal(result.semanticCache.matchedPrompt, text);
+    assert.equal(result.cost.totalCost, 0);
+  });
+
+  it("generates for different text, another variant or another scope", async () => {
+    await withSemanticCache(
+      "/summarize",
+      { text, variant: "short" },
+      answer("a"),
+    );
+
+    for (const [scope, request] of [
+      ["/summarize", { text: "Explain how volcanoes form", variant: "short" }],
+      ["/summarize", { text, variant: "long" }],
+      ["/ideas", { text, variant: "short" }],
+    ]) {
+      const generate = answer("b");
+      const result = await withSemanticCache(scope, request, generate);
+      assert.equal(generate.calls, 1, JSON.stringify(request));
+      assert.equal(result.semanticCache.hit, false);
+    }
+  });
+
+  it("skips the cache on bypass and replaces the entry on refresh", async () => {
+    await withSemanticCache("/summarize", { text }, answer("old"));
+
+    const bypass = answer("bypassed");
+    await withSemanticCache("/summarize", { text, cache: "bypass" }, bypass);
+    assert.equal(bypass.calls, 1);
+
+    await withSemanticCache(
+      "/summarize",
+      { text, cache: "refresh" },
+      answer("new"),
+    );
+    const result = await withSemanticCache("/summarize", { text }, answer("x"));
+    assert.equal(result.content, "new");
+    assert.equal(getSemanticCacheStats().scopes["/summarize"].entries, 1);
+  });
+
+  it("keeps the entries of concurrent misses", async () => {
+    await Promise.all([
+      withSemanticCache("/ideas", { text }, answer("a")),
+      withSemanticCache(
+        "/ideas",
+        { text: "Explain how volcanoes form" },
+        answer("b"),
+      ),
+    ]);
+    assert.equal(getSemanticCacheStats().scopes["/ideas"].entries, 2);
+  });
+});
+
+describe("SEMANTIC_CACHE_THRESHOLD", () => {
+  /**
+   * Load a fresh copy of the module with a threshold setting
+   * @param {string} [value] - Environment value, or undefined to unset it
+   * @returns {Promise<number>} Threshold the module uses
+   */
+  async function thresholdFor(value) {
+    // Set at the top of this file, so it can be restored as a string
+    const saved = process.env.SEMANTIC_CACHE_THRESHOLD;
+    if (value === undefined) {
+      delete process.env.SEMANTIC_CACHE_THRESHOLD;
+    } else {
+      process.env.SEMANTIC_CACHE_THRESHOLD = value;
+    }
+    try {
+      const module = await import(
+        `../semantic-cache.js?threshold=${encodeURIComponent(value)}`
+      );
+      return module.getSemanticCacheStats().threshold;
+    } finally {
+      process.env.SEMANTIC_CACHE_THRESHOLD = saved;
+    }
+  }
+
+  it("keeps an explicit zero and clamps to [-1, 1]", async () => {
+    assert.equal(await thresholdFor("0"), 0);
+    assert.equal(await thresholdFor("-0.5"), -0.5);
+    assert.equal(await thresholdFor("3"), 1);
+    assert.equal(await thresholdFor("-7"), -1);
+  });
+
+  it("defaults to 0.92 when unset or not a number", async () => {
+    assert.equal(await thresholdFor(undefined), 0.92);
+    assert.equal(await thresholdFor("high"), 0.92);
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Repairs are read when the module loads
+process.env.SCHEMA_REPAIR_ATTEMPTS = "1";
+
+const {
+  extractJSON,
+  generateStructuredOutput,
+  parsePartialJSON,
+  createPartialJSONTracker,
+} = await import("../structured-output.js");
+const { SchemaValidationError } = await import("../errors.js");
+
+const schema = {
+  type: "object",
+  properties: { name: { type: "string" } },
+  required: ["name"],
+};
+
+/**
+ * Build a generate function that returns canned responses in order
+ * @param {Object[]} responses - Generation results
+ * @returns {Function} Generate function that also records its prompts
+ */
+function scripted(responses) {
+  const generate = async (prompt) => {
+    generate.prompts.push(prompt);
+    return {
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+      ...responses[generate.prompts.length - 1],
+    };
+  };
+  generate.prompts = [];
+  return generate;
+}
+
+describe("extractJSON", () => {
+  it("parses bare JSON", () => {
+    assert.deepEqual(extractJSON(' {"a": 1} '), {
+      value: { a: 1 },
+      method: "direct",
+    });
+  });
+
+  it("reads a fenced block", () => {
+    assert.deepEqual(extractJSON("Here you go:\n```json\n[1, 2]\n```"), {
+      value: [1, 2],
+      method: "fenced",
+    });
+  });
+
+  it("finds JSON embedded in prose, skipping brackets that are not JSON", () => {
+    assert.deepEqual(
+      extractJSON(
+        'As noted [citation], the answer is {"text": "a } b"}. Done.',
+      ),
+      { value: { text: "a } b" }, method: "embedded" },
+    );
+  });
+
+  it("reports an error when nothing parses", () => {
+    assert.ok(extractJSON("no json here").error);
+    assert.ok(extractJSON("").error);
+  });
+});
+
+describe("generateStructuredOutput", () => {
+  it("returns valid output from the first attempt", async () => {
+    const generate = scripted([{ content: '{"name": "Ada"}' }]);
+    const output = await generateStructuredOutput("Make a user", {
+      schema,
+      generate,
+    });
+    assert.deepEqual(output.data, { name: "Ada" });
+    assert.equal(output.repairAttempts, 0);
+    assert.equal(output.validation.extraction, "direct");
+    assert.match(generate.prompts[0], /JSON Schema/);
+  });
+
+  it("prefers the provider's object, unless it is null", async () => {
+    const native = await generateStructuredOutput("Make a user", {
+      schema,
+      generate: scripted([{ object: { name: "Bo" }, content: "" }]),
+    });
+    assert.equal(native.validation.extraction, "provider");
+
+    const fallback = await generateStructuredOutput("Make a user", {
+      schema,
+      generate: scripted([{ object: null, content: '{"name": "Cy"}' }]),
+    });
+    assert.deepEqual(fallback.data, { name: "Cy" });
+  });
+
+  it("asks for a repair and sums the usage of every attempt", async () => {
+    const generate = scripted([
+      { content: '{"nam": "Ada"}' },
+      { content: '{"name": "Ada"}' },
+    ]);
+    const repairs = [];
+    const output = await generateStructuredOutput("Make a user", {
+      schema,
+      generate,
+      onRepair: (repair) => repairs.push(repair),
+    });
+    assert.equal(output.repairAttempts, 1);
+    assert.equal(output.usage.totalTokens, 30);
+    assert.equal(repairs[0].attempt, 2);
+    assert.match(generate.prompts[1], /\$\.name is required/);
+  });
+
+  it("throws once the repairs are used up", async () => {
+    await assert.rejects(
+      generateStructuredOutput("Make a user", {
+        schema,
+        generate: scripted([{ content: "nope" }, { content: "still nope" }]),
+      }),
+      (error) =>
+        error instanceof SchemaValidationError &&
+        error.details.repairAttempts === 1 &&
+        error.details.rawText === "still nope",
+    );
+  });
+});
+
+describe("parsePartialJSON", () => {
+  it("returns undefined before any JSON has started", () => {
+    assert.equal(parsePartialJSON(""), undefined);
+    assert.equal(parsePartialJSON("Sure, here is"), undefined);
+  });
+
+  it("parses complete JSON", () => {
+    assert.deepEqual(parsePartialJSON('{"a": [1, true, null], "b": "x"}'), {
+      a: [1, true, null],
+      b: "x",
+    });
+  });
+
+  it("closes an unfinished string, array and object", () => {
+    assert.deepEqual(parsePartialJSON('{"name": "Ad'), { name: "Ad" });
+    assert.deepEqual(parsePartialJSON('{"tags": ["a", "b'), {
+      tags: ["a", "b"],
+    });
+    assert.deepEqual(parsePartialJSON('{"user": {"name": "Ada", '), {
+      user: { name: "Ada" },
+    });
+  });
+
+  it("leaves out a key whose value has not started", () => {
+    assert.deepEqual(parsePartialJSON('{"a": 1, "b'), { a: 1 });
+    assert.deepEqual(parsePartialJSON('{"a": 1, "b": '), { a: 1 });
+  });
+
+  it("waits for a literal to be complete", () => {
+    assert.deepEqual(parsePartialJSON('{"ok": tr'), {});
+    assert.deepEqual(parsePartialJSON('{"ok": true}'), { ok: true });
+  });
+
+  it("skips a leading fence or prose", () => {
+    assert.deepEqual(parsePartialJSON('```json\n{"a": "b"'), { a: "b" });
+  });
+
+  it("decodes escapes, holding back an incomplete one", () => {
+    assert.deepEqual(parsePartialJSON('{"s": "a\\n\\"b\\u0041'), {
+      s: 'a\n"bA',
+    });
+    assert.deepEqual(parsePartialJSON('{"s": "a\\u00'), { s: "a" });
+    assert.deepEqual(parsePartialJSON('{"s": "a\\'), { s: "a" });
+  });
+});
+
+describe("createPartialJSONTracker", () => {
+  it("reports each new partial value once", () => {
+    const seen = [];
+    const onChunk = createPartialJSONTracker((value) => seen.push(value));
+    for (const chunk of ["Here: ", '{"a', '": ', '"x', "", '"}']) {
+      onChunk(chunk);
+    }
+    assert.deepEqual(seen, [{}, { a: "x" }]);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The policy file is located when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tool-policy-"));
+process.env.TOOL_POLICY_FILE = path.join(dir, "missing.json");
+for (const name of [
+  "TOOL_APPROVAL_MODE",
+  "TOOL_ALLOW_SERVERS",
+  "TOOL_DENY_SERVERS",
+  "TOOL_ALLOW_TOOLS",
+  "TOOL_DENY_TOOLS",
+]) {
+  delete process.env[name];
+}
+
+const {
+  loadToolPolicy,
+  evaluateToolCall,
+  getToolBlockReason,
+  authorizeToolCall,
+  listPendingApprovals,
+  decideApproval,
+} = await import("../tool-policy.js");
+
+const readFile = {
+  name: "filesystem.read_file",
+  server: "filesystem",
+  tool: "read_file",
+};
+
+/**
+ * Build a policy that restricts filesystem paths to the allowed directory
+ * @param {Object} [overrides] - Policy fields to replace
+ * @returns {Object} Tool policy
+ */
+function pathPolicy(overrides = {}) {
+  return {
+    ...loadToolPolicy(),
+    approvalMode: "none",
+    argumentConstraints: {
+      "filesystem.*": { path: { pathPrefixes: [path.join(dir, "allowed")] } },
+    },
+    ...overrides,
+  };
+}
+
+describe("default policy", () => {
+  it("requires approval for filesystem tools only", () => {
+    assert.equal(evaluateToolCall(readFile, {}).decision, "approve");
+    assert.equal(
+      evaluateToolCall({ name: "calculator" }, {}).decision,
+      "allow",
+    );
+  });
+});
+
+describe("server and tool lists", () => {
+  it("denies listed servers and tools, and anything outside an allow list", () => {
+    const policy = { ...loadToolPolicy(), denyServers: ["filesystem"] };
+    assert.match(getToolBlockReason(readFile, policy), /denied by policy/);
+
+    const allowOnly = { ...loadToolPolicy(), allowTools: ["github.*"] };
+    assert.match(getToolBlockReason(readFile, allowOnly), /not in the allowed/);
+    assert.equal(
+      getToolBlockReason({ name: "github.search" }, allowOnly),
+      null,
+    );
+
+    const denyGlob = { ...loadToolPolicy(), denyTools: ["*.write_*"] };
+    assert.match(
+      getToolBlockReason({ name: "filesystem.write_file" }, denyGlob),
+      /denied by policy/,
+    );
+  });
+});
+
+describe("path constraints", () => {
+  before(() => {
+    fs.mkdirSync(path.join(dir, "allowed"));
+    fs.symlinkSync(os.tmpdir(), path.join(dir, "allowed", "link"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("allows paths inside the prefix, including files not created yet", () => {
+    for (const target of [
+      path.join(dir, "allowed"),
+      path.join(dir, "allowed", "notes.txt"),
+      path.join(dir, "allowed", "new", "deep", "file.txt"),
+    ]) {
+      assert.equal(
+        evaluateToolCall(readFile, { path: target }, pathPolicy()).decision,
+        "allow",
+        target,
+      );
+    }
+  });
+
+  it("denies relative paths", () => {
+    const decision = evaluateToolCall(
+      readFile,
+      { path: "allowed/notes.txt" },
+      pathPolicy(),
+    );
+    assert.equal(decision.decision, "deny");
+    assert.match(decision.reason, /absolute path/);
+  });
+
+  it("denies paths that climb out with .. or a symlink", () => {
+    for (const target of [
+      path.join(dir, "allowed", "..", "secret.txt"),
+      path.join(dir, "allowed-sibling", "file.txt"),
+      path.join(dir, "allowed", "link", "file.txt"),
+    ]) {
+      assert.equal(
+        evaluateToolCall(readFile, { path: target }, pathPolicy()).decision,
+        "deny",
+        target,
+      );
+    }
+  });
+
+  it("checks every path in an array argument", () => {
+    const decision = evaluateToolCall(
+      readFile,
+      { path: [path.join(dir, "allowed", "a"), "/etc/passwd"] },
+      pathPolicy(),
+    );
+    assert.equal(decision.decision, "deny");
+  });
+});
+
+describe("authorizeToolCall", () => {
+  it("waits for a decision on calls that need approval", async () => {
+    const pending = authorizeToolCall(
+      readFile,
+      { path: "/tmp/x" },
+      { round: 1 },
+    );
+    const [call] = listPendingApprovals();
+    assert.equal(call.name, "filesystem.read_file");
+
+    decideApproval(call.id, false, "Not today");
+    const decision = await pending;
+    assert.equal(decision.approved, false);
+    assert.equal(decision.reason, "Not today");
+    assert.equal(listPendingApprovals().length, 0);
+  });
+
+  it("rejects a call when the request is cancelled", async () => {
+    const controller = new AbortController();
+    const pending = authorizeToolCall(
+      readFile,
+      {},
+      { abortSignal: controller.signal },
+    );
+    controller.abort();
+    const decision = await pending;
+    assert.equal(decision.approved, false);
+    assert.match(decision.reason, /cancelled/);
+  });
+
+  it("rejects at once without a pending approval if already cancelled", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const pending = authorizeToolCall(
+      readFile,
+      {},
+      { abortSignal: controller.signal },
+    );
+    assert.equal(listPendingApprovals().length, 0);
+    const decision = await pending;
+    assert.equal(decision.approved, false);
+    assert.match(decision.reason, /cancelled/);
+  });
+});
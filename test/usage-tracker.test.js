@@ -0,0 +1,154 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// The cost ledger is loaded when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+process.env.COST_LEDGER_FILE = path.join(dir, "ledger.json");
+
+const { recordGeneration, getUsageSummary, getCostSummary } =
+  await import("../usage-tracker.js");
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const usage = { promptTokens: 20, completionTokens: 10, totalTokens: 30 };
+
+describe("usage summary", () => {
+  it("counts every attempt against its provider and model", () => {
+    recordGeneration({
+      endpoint: "/api/generate",
+      status: "success",
+      durationMs: 900,
+      attempts: [
+        {
+          provider: "openai",
+          model: "gpt-4o",
+          status: "failed",
+          durationMs: 100,
+        },
+        { provider: "google-ai", model: "gemini", status: "skipped" },
+        {
+          provider: "anthropic",
+          model: "claude",
+          status: "success",
+          durationMs: 800,
+        },
+      ],
+      usage,
+    });
+
+    const { providers, endpoints, totals } = getUsageSummary();
+    assert.equal(providers.openai.failures, 1);
+    assert.equal(providers.openai.totalTokens, 0);
+    assert.equal(providers["google-ai"], undefined);
+    assert.equal(providers.anthropic.models.claude.successes, 1);
+    assert.equal(providers.anthropic.totalTokens, 30);
+    assert.equal(endpoints["/api/generate"].providers.openai.requests, 1);
+    assert.deepEqual(
+      { requests: totals.requests, successes: totals.successes },
+      { requests: 1, successes: 1 },
+    );
+  });
+
+  it("reports success rates and latency percentiles", () => {
+    for (const durationMs of [100, 200, 300, 400]) {
+      recordGeneration({
+        endpoint: "/api/summarize",
+        status: "success",
+        durationMs,
+        attempts: [
+          {
+            provider: "mistral",
+            model: "small",
+            status: "success",
+            durationMs,
+          },
+        ],
+        usage,
+      });
+    }
+    recordGeneration({
+      endpoint: "/api/summarize",
+      status: "aborted",
+      durationMs: 50,
+      attempts: [
+        {
+          provider: "mistral",
+          model: "small",
+          status: "aborted",
+          durationMs: 50,
+        },
+      ],
+    });
+
+    const summary = getUsageSummary().endpoints["/api/summarize"];
+    assert.equal(summary.requests, 5);
+    assert.equal(summary.aborted, 1);
+    assert.equal(summary.successRate, 80);
+    assert.deepEqual(
+      {
+        average: summary.latencyMs.average,
+        p50: summary.latencyMs.p50,
+        p99: summary.latencyMs.p99,
+      },
+      { average: 250, p50: 200, p99: 400 },
+    );
+  });
+});
+
+describe("cost ledger", () => {
+  const priced = (totalCost) => ({ totalCost, pricing: {} });
+
+  it("adds answers and abandoned attempts, and counts what has no price", () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const record = (attempts, cost) =>
+      recordGeneration({
+        endpoint: "/api/ledger",
+        status: "success",
+        durationMs: 10,
+        attempts,
+        usage,
+        cost,
+      });
+    const winner = { provider: "openai", model: "gpt-4o", status: "success" };
+
+    record([winner], priced(0.5));
+    record([winner], { totalCost: null, pricing: {}, unpriced: true });
+    record([winner], { totalCost: null, pricing: null, unpriced: true });
+    record(
+      [
+        {
+          provider: "bedrock",
+          model: "claude",
+          status: "aborted",
+          usage: { promptTokens: 40, completionTokens: 0, totalTokens: 40 },
+          cost: priced(0.25),
+        },
+        winner,
+      ],
+      priced(0.5),
+    );
+
+    const { byEndpoint, byProvider } = getCostSummary({ from: today });
+    assert.deepEqual(byEndpoint["/api/ledger"], {
+      generations: 4,
+      unpricedGenerations: 1,
+      noUsageGenerations: 1,
+      abandonedAttempts: 1,
+      promptTokens: 120,
+      completionTokens: 40,
+      totalTokens: 160,
+      cost: 1.25,
+    });
+    assert.equal(byProvider.bedrock.generations, 0);
+    assert.equal(byProvider.bedrock.cost, 0.25);
+  });
+
+  it("leaves out days outside the range", () => {
+    assert.deepEqual(getCostSummary({ to: "2000-01-01" }).byDay, {});
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Tool Calling for NeuroLink Demo Server
+ *
+ * Offers the built-in local tools and the tools of the configured MCP servers
+ * to the model and runs the calls it asks for. Tools are described in the
+ * system prompt and the model requests calls by replying with a JSON block,
+ * so the loop works the same way with every provider. Results are sent back
+ * and the model is called again until it answers without requesting tools.
+ * Every call is checked against the tool policy before it runs.
+ */
+
+import { loadMCPConfig } from "./mcp-helpers.js";
+import { listServerTools, callServerTool } from "./mcp-client.js";
+import { getLocalTools, executeLocalTool } from "./local-tools.js";
+import {
+  loadToolPolicy,
+  getToolBlockReason,
+  authorizeToolCall,
+} from "./tool-policy.js";
+import { sumCosts } from "./pricing.js";
+
+// Tool-call rounds allowed before the model must answer
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS, 10) || 3;
+
+// Most tool-call rounds a request may ask for; each one is a billed generation
+export const TOOL_ROUNDS_LIMIT =
+  parseInt(process.env.TOOL_ROUNDS_LIMIT, 10) || 10;
+
+// Longest tool result sent back to the model (characters)
+const MAX_TOOL_RESULT_CHARS = 4000;
+
+/**
+ * Collect the local tools and the tools of every configured MCP server
+ * Servers that fail to start are reported instead of failing the request,
+ * and tools blocked by the tool policy are left out
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.includeMCP] - Also list the MCP server tools
+ * @returns {Promise<Object>} Tools, blocked tools and unreachable servers
+ */
+export async function getAvailableTools({ includeMCP = true } = {}) {
+  const serverNames = includeMCP
+    ? Object.keys(loadMCPConfig().mcpServers || {})
+    : [];
+  const tools = getLocalTools().map((tool) => ({
+    ...tool,
+    source: "local",
+    server: null,
+    tool: tool.name,
+  }));
+  const unavailableServers = [];
+
+  await Promise.all(
+    serverNames.map(async (server) => {
+      try {
+        for (const tool of await listServerTools(server)) {
+          tools.push({
+            name: `${server}.${tool.name}`,
+            source: "mcp",
+            server,
+            tool: tool.name,
+            description: tool.description || "",
+            inputSchema: tool.inputSchema || { type: "object" },
+          });
+        }
+      } catch (error) {
+        console.log(`[Tools] ${server} unavailable: ${error.message}`);
+        unavailableServers.push({ server, error: error.message });
+      }
+    }),
+  );
+
+  const policy = loadToolPolicy();
+  const blockedTools = [];
+  const allowedTools = tools.filter((tool) => {
+    const reason = getToolBlockReason(tool, policy);
+    if (reason) {
+      blockedTools.push({ name: tool.name, reason });
+    }
+    return !reason;
+  });
+
+  return { tools: allowedTools, blockedTools, unavailableServers };
+}
+
+/**
+ * Describe the tools and the call format in the system prompt
+ * @param {Object[]} tools - Available tools
+ * @param {string} [systemPrompt] - Caller's system prompt
+ * @returns {string} System prompt offering the tools
+ */
+function buildToolSystemPrompt(tools, systemPrompt) {
+  const toolList = tools
+    .map(
+      (tool) =>
+        `- ${tool.name}: ${tool.description}\n  Arguments (JSON Schema): ${JSON.stringify(tool.inputSchema)}`,
+    )
+    .join("\n");
+
+  return `${systemPrompt ? `${systemPrompt}\n\n` : ""}You can call these tools:
+${toolList}
+
+To call tools, reply with only a JSON object in this form and nothing else:
+{"toolCalls": [{"name": "<tool name>", "arguments": {}}]}
+
+You will receive the results and can then call more tools or answer. Answer in plain text when no tool is needed.`;
+}
+
+/**
+ * Find the tool calls requested in a model response
+ * @param {string} text - Model response
+ * @returns {Object[]} Requested calls with name and arguments
+ */
+export function parseToolCalls(text) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  const candidate = (fenced ? fenced[1] : text).trim();
+  const start = candidate.indexOf("{");
+  const end = candidate.lastIndexOf("}");
+
+  if (start === -1 || end < start || !candidate.includes('"toolCalls"')) {
+    return [];
+  }
+
+  try {
+    const { toolCalls } = JSON.parse(candidate.slice(start, end + 1));
+    return Array.isArray(toolCalls)
+      ? toolCalls.filter((call) => typeof call?.name === "string")
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Run one requested tool call, waiting for approval if the policy asks for it
+ * Failures and policy rejections are recorded on the invocation and
+ * reported back to the model
+ * @param {Object[]} tools - Available tools
+ * @param {Object} call - Requested call with name and arguments
+ * @param {number} round - Tool-call round the call belongs to
+ * @param {AbortSignal} [abortSignal] - Request cancellation signal
+ * @returns {Promise<Object>} Invocation record
+ */
+async function executeToolCall(tools, call, round, abortSignal) {
+  const callStart = Date.now();
+  const tool = tools.find((t) => t.name === call.name);
+  const invocation = {
+    name: call.name,
+    source: tool?.source || null,
+    server: tool?.server || null,
+    tool: tool?.tool || null,
+    arguments: call.arguments || {},
+    round,
+    result: null,
+    error: null,
+    policy: null,
+  };
+
+  if (tool) {
+    invocation.policy = await authorizeToolCall(tool, invocation.arguments, {
+      round,
+      abortSignal,
+    });
+  }
+
+  if (!tool) {
+    invocation.error = `Unknown tool: ${call.name}`;
+  } else if (invocation.policy.decision === "deny") {
+    invocation.error = `Blocked by policy: ${invocation.policy.reason}`;
+  } else if (invocation.policy.approved === false) {
+    invocation.error = `Rejected: ${invocation.policy.reason}`;
+  } else if (tool.source === "local") {
+    try {
+      invocation.result = await executeLocalTool(
+        tool.name,
+        invocation.arguments,
+        { tools },
+      );
+    } catch (error) {
+      invocation.error = error.message;
+    }
+  } else {
+    try {
+      const result = await callServerTool(
+        tool.server,
+        tool.tool,
+        invocation.arguments,
+      );
+      invocation.result = result.content;
+      invocation.error = result.isError ? result.content : null;
+    } catch (error) {
+      invocation.error = error.message;
+    }
+  }
+
+  invocation.durationMs = Date.now() - callStart;
+  console.log(
+    `[Tools] ${call.name} ${invocation.error ? "failed" : "succeeded"} in ${invocation.durationMs}ms`,
+  );
+  return invocation;
+}
+
+/**
+ * Build the follow-up prompt containing every tool result so far
+ * @param {string} prompt - Original prompt
+ * @param {Object[]} invocations - Tool calls made so far
+ * @returns {string} Prompt for the next round
+ */
+function buildToolResultsPrompt(prompt, invocations) {
+  const results = invocations.map((invocation) => {
+    const output = invocation.error
+      ? `Error: ${invocation.error}`
+      : (typeof invocation.result === "string"
+          ? invocation.result
+          : JSON.stringify(invocation.result)
+        ).slice(0, MAX_TOOL_RESULT_CHARS);
+    return `Tool ${invocation.name} called with ${JSON.stringify(invocation.arguments)}:\n${output}`;
+  });
+
+  return `${prompt}
+
+Tool results:
+
+${results.join("\n\n")}`;
+}
+
+/**
+ * Add token usage from one round to the running total
+ * @param {Object} total - Usage so far
+ * @param {Object} [usage] - Usage reported for the round
+ * @returns {Object} Combined usage
+ */
+function addUsage(total, usage = {}) {
+  return {
+    promptTokens: total.promptTokens + (usage.promptTokens || 0),
+    completionTokens: total.completionTokens + (usage.completionTokens || 0),
+    totalTokens: total.totalTokens + (usage.totalTokens || 0),
+  };
+}
+
+/**
+ * Generate a response, running the tool calls the model asks for
+ * @param {string} prompt - User prompt
+ * @param {Object} options - Tool loop options
+ * @param {Object[]} options.tools - Tools offered to the model
+ * @param {Function} options.generate - Async (prompt, systemPrompt, { toolsOffered }) => generation result
+ * @param {string} [options.systemPrompt] - Caller's system prompt
+ * @param {number} [options.maxRounds] - Tool-call rounds before the model must answer
+ * @param {AbortSignal} [options.abortSignal] - Request cancellation signal
+ * @returns {Promise<Object>} Final result, tool calls, rounds, combined usage and cost
+ */
+export async function generateWithTools(
+  prompt,
+  { tools, generate, systemPrompt, maxRounds = MAX_TOOL_ROUNDS, abortSignal },
+) {
+  const toolSystemPrompt = buildToolSystemPrompt(tools, systemPrompt);
+  const toolCalls = [];
+  let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const costs = [];
+  let roundPrompt = prompt;
+
+  for (let round = 1; ; round++) {
+    // The last round withholds the tools so the model has to answer
+    const canCallTools = round <= maxRounds;
+    const result = await generate(
+      roundPrompt,
+      canCallTools ? toolSystemPrompt : systemPrompt,
+      { toolsOffered: canCallTools },
+    );
+    usage = addUsage(usage, result.usage);
+    costs.push(result.cost);
+
+    const requested = canCallTools ? parseToolCalls(result.content) : [];
+    if (requested.length === 0) {
+      return {
+        result,
+        toolCalls,
+        toolRounds: round - 1,
+        usage,
+        cost: sumCosts(costs),
+      };
+    }
+
+    for (const call of requested) {
+      abortSignal?.throwIfAborted();
+      toolCalls.push(await executeToolCall(tools, call, round, abortSignal));
+    }
+    roundPrompt = buildToolResultsPrompt(prompt, toolCalls);
+  }
+}
@@ -0,0 +1,393 @@
+/**
+ * Tool-Call Policy for NeuroLink Demo Server
+ *
+ * Decides which tools the model may call and with which arguments, so a
+ * prompt cannot drive an MCP server (such as the filesystem server rooted
+ * at /) beyond what the operator allows. Policies come from
+ * .tool-policy.json and environment variables. In approval mode a call
+ * waits until someone approves or rejects it via /api/tool-calls. Unless
+ * configured otherwise, calls to the filesystem server need approval.
+ */
+
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import { NotFoundError, ValidationError } from "./errors.js";
+
+// Tool policy file path
+const TOOL_POLICY_FILE =
+  process.env.TOOL_POLICY_FILE || path.join(process.cwd(), ".tool-policy.json");
+
+// Supported approval modes
+export const APPROVAL_MODES = ["none", "listed", "all"];
+
+// Used when neither the file nor the environment sets an approval mode
+const DEFAULT_APPROVAL_MODE = "listed";
+
+// Used when the file has no requireApproval list: the filesystem server is
+// installed rooted at /, so its calls wait for a person by default
+const DEFAULT_REQUIRE_APPROVAL = ["filesystem.*"];
+
+// How long a call waits for approval before it is rejected (ms)
+const TOOL_APPROVAL_TIMEOUT_MS =
+  parseInt(process.env.TOOL_APPROVAL_TIMEOUT_MS, 10) || 45000;
+
+// Calls waiting for approval keyed by id
+const pendingApprovals = new Map();
+
+// Emits "pending" and "resolved" as calls wait for and receive decisions
+export const toolCallEvents = new EventEmitter();
+
+/**
+ * Parse a comma-separated environment variable into a list
+ * @param {string} value - Raw environment variable
+ * @returns {string[]|undefined} Trimmed entries, or undefined if unset
+ */
+function parseList(value) {
+  return value
+    ? value
+        .split(",")
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+    : undefined;
+}
+
+/**
+ * Load the tool policy from .tool-policy.json and environment variables
+ * Environment variables take precedence over the file
+ * @returns {Object} Tool policy
+ */
+export function loadToolPolicy() {
+  let fileConfig = {};
+
+  try {
+    if (fs.existsSync(TOOL_POLICY_FILE)) {
+      fileConfig = JSON.parse(fs.readFileSync(TOOL_POLICY_FILE, "utf-8"));
+    }
+  } catch (error) {
+    console.error("[ToolPolicy] Error loading config:", error.message);
+  }
+
+  const approvalMode =
+    process.env.TOOL_APPROVAL_MODE ||
+    fileConfig.approvalMode ||
+    DEFAULT_APPROVAL_MODE;
+  if (!APPROVAL_MODES.includes(approvalMode)) {
+    console.error(
+      `[ToolPolicy] Unknown approval mode "${approvalMode}", requiring approval for every call`,
+    );
+  }
+
+  return {
+    approvalMode: APPROVAL_MODES.includes(approvalMode) ? approvalMode : "all",
+    allowServers:
+      parseList(process.env.TOOL_ALLOW_SERVERS) ||
+      fileConfig.allowServers ||
+      [],
+    denyServers:
+      parseList(process.env.TOOL_DENY_SERVERS) || fileConfig.denyServers || [],
+    allowTools:
+      parseList(process.env.TOOL_ALLOW_TOOLS) || fileConfig.allowTools || [],
+    denyTools:
+      parseList(process.env.TOOL_DENY_TOOLS) || fileConfig.denyTools || [],
+    requireApproval: fileConfig.requireApproval || DEFAULT_REQUIRE_APPROVAL,
+    argumentConstraints: fileConfig.argumentConstraints || {},
+    approvalTimeoutMs: TOOL_APPROVAL_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Check a tool name against patterns such as "filesystem.*"
+ * @param {string} name - Tool name, e.g. filesystem.read_file
+ * @param {string[]} patterns - Names where * matches any characters
+ * @returns {boolean} True if any pattern matches
+ */
+function matchesAny(name, patterns) {
+  return patterns.some((pattern) =>
+    new RegExp(`^${pattern.split("*").map(escapeRegExp).join(".*")}$`).test(
+      name,
+    ),
+  );
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Check whether a tool may be offered to the model at all
+ * Server lists apply to MCP tools; tool lists apply to every tool
+ * @param {Object} tool - Tool with name and server
+ * @param {Object} [policy] - Tool policy
+ * @returns {string|null} Reason the tool is blocked, or null if allowed
+ */
+export function getToolBlockReason(tool, policy = loadToolPolicy()) {
+  if (tool.server) {
+    if (policy.denyServers.includes(tool.server)) {
+      return `Server ${tool.server} is denied by policy`;
+    }
+    if (
+      policy.allowServers.length > 0 &&
+      !policy.allowServers.includes(tool.server)
+    ) {
+      return `Server ${tool.server} is not in the allowed servers`;
+    }
+  }
+
+  if (matchesAny(tool.name, policy.denyTools)) {
+    return `Tool ${tool.name} is denied by policy`;
+  }
+  if (
+    policy.allowTools.length > 0 &&
+    !matchesAny(tool.name, policy.allowTools)
+  ) {
+    return `Tool ${tool.name} is not in the allowed tools`;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a path with symlinks followed
+ * The path may not exist yet (e.g. a file about to be written), so the
+ * deepest existing ancestor is resolved and the rest appended
+ * @param {string} target - Absolute path
+ * @returns {string} Real path
+ */
+function resolveRealPath(target) {
+  const missing = [];
+  let existing = path.resolve(target);
+
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync(existing), ...missing);
+    } catch {
+      const parent = path.dirname(existing);
+      if (parent === existing) {
+        return path.resolve(target);
+      }
+      missing.unshift(path.basename(existing));
+      existing = parent;
+    }
+  }
+}
+
+/**
+ * Check one argument value against its constraint
+ * String arrays are checked element by element
+ * @param {string} key - Argument name
+ * @param {*} value - Argument value
+ * @param {Object} constraint - pathPrefixes, pattern and/or enum
+ * @returns {string|null} Violation, or null if the value is allowed
+ */
+function checkArgument(key, value, constraint) {
+  if (Array.isArray(value)) {
+    return (
+      value.map((item) => checkArgument(key, item, constraint)).find(Boolean) ||
+      null
+    );
+  }
+
+  if (constraint.enum && !constraint.enum.includes(value)) {
+    return `${key} must be one of: ${constraint.enum.join(", ")}`;
+  }
+  if (typeof value !== "string") {
+    return constraint.pathPrefixes || constraint.pattern
+      ? `${key} must be a string`
+      : null;
+  }
+  if (constraint.pattern && !new RegExp(constraint.pattern).test(value)) {
+    return `${key} must match ${constraint.pattern}`;
+  }
+  if (constraint.pathPrefixes) {
+    // A relative path would be resolved by the MCP server against its own
+    // directory, which this server cannot know
+    if (!path.isAbsolute(value)) {
+      return `${key} must be an absolute path`;
+    }
+    // Resolve .. segments and symlinks so a path cannot climb out of a prefix
+    const resolved = resolveRealPath(value);
+    const allowed = constraint.pathPrefixes.some((prefix) => {
+      const root = resolveRealPath(prefix);
+      return resolved === root || resolved.startsWith(`${root}${path.sep}`);
+    });
+    if (!allowed) {
+      return `${key} must be inside ${constraint.pathPrefixes.join(", ")}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether a requested call may run
+ * @param {Object} tool - Tool with name and server
+ * @param {Object} args - Arguments from the model
+ * @param {Object} [policy] - Tool policy
+ * @returns {Object} Decision ("allow", "deny" or "approve") and reason
+ */
+export function evaluateToolCall(tool, args, policy = loadToolPolicy()) {
+  const blockReason = getToolBlockReason(tool, policy);
+  if (blockReason) {
+    return { decision: "deny", reason: blockReason };
+  }
+
+  for (const [pattern, constraints] of Object.entries(
+    policy.argumentConstraints,
+  )) {
+    if (!matchesAny(tool.name, [pattern])) {
+      continue;
+    }
+    for (const [key, constraint] of Object.entries(constraints)) {
+      const violation =
+        args[key] !== undefined && checkArgument(key, args[key], constraint);
+      if (violation) {
+        return { decision: "deny", reason: violation };
+      }
+    }
+  }
+
+  const needsApproval =
+    policy.approvalMode === "all" ||
+    (policy.approvalMode === "listed" &&
+      matchesAny(tool.name, policy.requireApproval));
+
+  return needsApproval
+    ? { decision: "approve", reason: "Approval required by policy" }
+    : { decision: "allow", reason: null };
+}
+
+/**
+ * Apply the policy to a call, waiting for approval if the policy asks for it
+ * @param {Object} tool - Tool with name, server and tool
+ * @param {Object} args - Call arguments
+ * @param {Object} [options] - Authorization options
+ * @param {number} [options.round] - Tool-call round, shown to approvers
+ * @param {AbortSignal} [options.abortSignal] - Request cancellation signal
+ * @returns {Promise<Object>} Decision and reason, plus approvalId and approved for approvals
+ */
+export async function authorizeToolCall(
+  tool,
+  args,
+  { round, abortSignal } = {},
+) {
+  const decision = evaluateToolCall(tool, args);
+  if (decision.decision !== "approve") {
+    return decision;
+  }
+
+  const approval = await waitForApproval(
+    {
+      name: tool.name,
+      server: tool.server,
+      tool: tool.tool,
+      arguments: args,
+      round,
+    },
+    { abortSignal },
+  );
+  return {
+    ...decision,
+    approvalId: approval.id,
+    approved: approval.approved,
+    reason: approval.reason,
+  };
+}
+
+/**
+ * Wait for someone to approve or reject a call
+ * The call is rejected if nobody decides before the approval timeout or the
+ * request is cancelled
+ * @param {Object} call - Tool name, server and arguments
+ * @param {Object} [options] - Wait options
+ * @param {number} [options.timeoutMs] - Approval timeout
+ * @param {AbortSignal} [options.abortSignal] - Request cancellation signal
+ * @returns {Promise<Object>} Approval id, approved flag and reason
+ */
+export function waitForApproval(
+  call,
+  { timeoutMs = TOOL_APPROVAL_TIMEOUT_MS, abortSignal } = {},
+) {
+  const id = randomUUID();
+
+  // A request cancelled before the call came up never publishes an approval
+  if (abortSignal?.aborted) {
+    console.log(`[ToolPolicy] ${call.name} rejected: Request was cancelled`);
+    return Promise.resolve({
+      id,
+      approved: false,
+      reason: "Request was cancelled",
+    });
+  }
+
+  return new Promise((resolve) => {
+    const pending = {
+      id,
+      ...call,
+      requestedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + timeoutMs).toISOString(),
+    };
+
+    const settle = (approved, reason) => {
+      clearTimeout(timer);
+      abortSignal?.removeEventListener("abort", onAbort);
+      pendingApprovals.delete(id);
+
+      const decision = { id, approved, reason };
+      toolCallEvents.emit("resolved", decision);
+      console.log(
+        `[ToolPolicy] ${call.name} ${approved ? "approved" : "rejected"}: ${reason}`,
+      );
+      resolve(decision);
+    };
+
+    const timer = setTimeout(
+      () => settle(false, `No decision within ${timeoutMs}ms`),
+      timeoutMs,
+    );
+    const onAbort = () => settle(false, "Request was cancelled");
+    abortSignal?.addEventListener("abort", onAbort, { once: true });
+
+    pendingApprovals.set(id, { ...pending, settle });
+    toolCallEvents.emit("pending", pending);
+    console.log(`[ToolPolicy] ${call.name} is waiting for approval (${id})`);
+  });
+}
+
+/**
+ * List calls waiting for approval
+ * @returns {Object[]} Pending calls, oldest first
+ */
+export function listPendingApprovals() {
+  return [...pendingApprovals.values()].map(
+    ({ settle, ...pending }) => pending,
+  );
+}
+
+/**
+ * Approve or reject a pending call
+ * @param {string} id - Approval id
+ * @param {boolean} approved - Whether the call may run
+ * @param {string} [reason] - Reason recorded on the call
+ * @returns {Object} The decided call
+ * @throws {NotFoundError} If no call with the id is waiting
+ */
+export function decideApproval(id, approved, reason) {
+  const pending = pendingApprovals.get(id);
+  if (!pending) {
+    throw new NotFoundError(`No tool call is waiting for approval: ${id}`);
+  }
+  if (reason !== undefined && typeof reason !== "string") {
+    throw new ValidationError("reason must be a string");
+  }
+
+  const { settle, ...call } = pending;
+  settle(approved, reason || (approved ? "Approved" : "Rejected"));
+  return { ...call, approved };
+}
@@ -0,0 +1,411 @@
+/**
+ * Usage Accounting for NeuroLink Demo Server
+ *
+ * Records every generation for /api/analytics: calls, successes, failures,
+ * tokens and latency per provider and model, and the same per calling
+ * endpoint. Each provider attempt in a fallback chain counts as a call to
+ * that provider; the endpoint counts the generation as a whole. Estimated
+ * costs are kept in a daily ledger saved to .cost-ledger.json, so they
+ * survive restarts and can be reported per day and month.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createFileWriter } from "./file-writer.js";
+import { PRICING_CURRENCY, roundCost } from "./pricing.js";
+
+// Cost ledger file path
+const COST_LEDGER_FILE =
+  process.env.COST_LEDGER_FILE || path.join(process.cwd(), ".cost-ledger.json");
+
+// Latency samples kept per bucket for percentiles
+const LATENCY_SAMPLE_LIMIT = 1000;
+
+// Percentiles reported for latency
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+// Usage per provider, with a nested breakdown per model
+const providerUsage = {};
+
+// Usage per endpoint, with a nested breakdown per provider
+const endpointUsage = {};
+
+// Generation and abandoned attempt costs keyed by UTC day, endpoint, provider and model
+const costLedger = loadCostLedger();
+const writeCostLedger = createFileWriter(COST_LEDGER_FILE, () =>
+  JSON.stringify(costLedger),
+);
+
+/**
+ * Load the saved cost ledger
+ * @returns {Object} Ledger keyed by day
+ */
+function loadCostLedger() {
+  try {
+    if (fs.existsSync(COST_LEDGER_FILE)) {
+      return JSON.parse(fs.readFileSync(COST_LEDGER_FILE, "utf8"));
+    }
+  } catch (error) {
+    console.error(`[Usage] Failed to load ${COST_LEDGER_FILE}:`, error.message);
+  }
+  return {};
+}
+
+/**
+ * Write the cost ledger to disk
+ * @returns {Promise<void>}
+ */
+async function saveCostLedger() {
+  try {
+    await writeCostLedger();
+  } catch (error) {
+    console.error(`[Usage] Failed to save ${COST_LEDGER_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Create an empty cost ledger entry
+ * @returns {Object} Counters
+ */
+function createCostEntry() {
+  return {
+    generations: 0,
+    unpricedGenerations: 0,
+    noUsageGenerations: 0,
+    abandonedAttempts: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+  };
+}
+
+/**
+ * Add one ledger entry into another
+ * @param {Object} target - Entry being summed into
+ * @param {Object} entry - Entry to add
+ */
+function addCostEntry(target, entry) {
+  for (const key of Object.keys(target)) {
+    if (typeof target[key] === "number") {
+      target[key] += entry[key] || 0;
+    }
+  }
+}
+
+/**
+ * Add an attempt to the cost ledger
+ * Abandoned attempts, such as hedge losers and streams that failed part
+ * way, add their tokens and cost but are not counted as generations
+ * @param {string} endpoint - Calling endpoint
+ * @param {Object} attempt - Attempt record
+ * @param {Object} [usage] - Token usage
+ * @param {Object} [cost] - Estimate from estimateCost
+ * @param {boolean} [abandoned] - The attempt did not produce the answer
+ */
+function addToCostLedger(endpoint, attempt, usage, cost, abandoned = false) {
+  const day = new Date().toISOString().slice(0, 10);
+  const models = (((costLedger[day] ||= {})[endpoint] ||= {})[
+    attempt.provider
+  ] ||= {});
+  // Entries saved before a counter existed are missing it
+  const entry = (models[attempt.model] = {
+    ...createCostEntry(),
+    ...models[attempt.model],
+  });
+  const promptTokens = usage?.promptTokens || 0;
+  const completionTokens = usage?.completionTokens || 0;
+
+  entry.promptTokens += promptTokens;
+  entry.completionTokens += completionTokens;
+  entry.totalTokens += usage?.totalTokens || promptTokens + completionTokens;
+  entry[abandoned ? "abandonedAttempts" : "generations"]++;
+  if (typeof cost?.totalCost === "number") {
+    entry.cost += cost.totalCost;
+  } else if (!abandoned) {
+    // Either the model has no price or the provider reported no tokens
+    entry[cost?.pricing ? "noUsageGenerations" : "unpricedGenerations"]++;
+  }
+}
+
+/**
+ * Create an empty set of counters
+ * @returns {Object} Counters
+ */
+function createBucket() {
+  return {
+    requests: 0,
+    successes: 0,
+    failures: 0,
+    aborted: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    latencies: [],
+  };
+}
+
+/**
+ * Count one outcome in a bucket
+ * @param {Object} bucket - Counters
+ * @param {string} status - "success", "failed" or "aborted"
+ * @param {number} durationMs - Duration of the call
+ * @param {Object} [usage] - Token usage of a successful call
+ */
+function addOutcome(bucket, status, durationMs, usage) {
+  bucket.requests++;
+
+  if (status === "success") {
+    bucket.successes++;
+    bucket.latencies.push(durationMs);
+    if (bucket.latencies.length > LATENCY_SAMPLE_LIMIT) {
+      bucket.latencies.shift();
+    }
+  } else if (status === "aborted") {
+    bucket.aborted++;
+  } else {
+    bucket.failures++;
+  }
+
+  if (usage) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    bucket.promptTokens += promptTokens;
+    bucket.completionTokens += completionTokens;
+    bucket.totalTokens += usage.totalTokens || promptTokens + completionTokens;
+  }
+}
+
+/**
+ * Record the provider attempts of one generation
+ * @param {Object} buckets - Buckets keyed by provider
+ * @param {Object[]} attempts - Attempt trace
+ * @param {Object} [usage] - Token usage of the successful attempt
+ * @param {boolean} [byModel] - Also break each provider down by model
+ */
+function addAttempts(buckets, attempts, usage, byModel = false) {
+  for (const attempt of attempts) {
+    if (attempt.status === "skipped") {
+      continue;
+    }
+    const attemptUsage = attempt.status === "success" ? usage : null;
+
+    buckets[attempt.provider] ||= {
+      ...createBucket(),
+      ...(byModel ? { models: {} } : {}),
+    };
+    const providerBucket = buckets[attempt.provider];
+    addOutcome(
+      providerBucket,
+      attempt.status,
+      attempt.durationMs,
+      attemptUsage,
+    );
+
+    if (byModel) {
+      providerBucket.models[attempt.model] ||= createBucket();
+      addOutcome(
+        providerBucket.models[attempt.model],
+        attempt.status,
+        attempt.durationMs,
+        attemptUsage,
+      );
+    }
+  }
+}
+
+/**
+ * Record one generation
+ * @param {Object} generation - Generation outcome
+ * @param {string} [generation.endpoint] - Calling endpoint, e.g. /api/generate
+ * @param {string} generation.status - "success", "failed" or "aborted"
+ * @param {number} generation.durationMs - Time for the whole fallback chain
+ * @param {Object[]} generation.attempts - Attempt trace
+ * @param {Object} [generation.usage] - Token usage if the generation succeeded
+ * @param {Object} [generation.cost] - Estimated cost if the generation succeeded
+ */
+export function recordGeneration({
+  endpoint = "internal",
+  status,
+  durationMs,
+  attempts,
+  usage,
+  cost,
+}) {
+  addAttempts(providerUsage, attempts, usage, true);
+
+  endpointUsage[endpoint] ||= { ...createBucket(), providers: {} };
+  addOutcome(endpointUsage[endpoint], status, durationMs, usage);
+  addAttempts(endpointUsage[endpoint].providers, attempts, usage);
+
+  const success = attempts.find((attempt) => attempt.status === "success");
+  if (status === "success" && success) {
+    addToCostLedger(endpoint, success, usage, cost);
+  }
+  // Attempts that were billed without producing the answer
+  const abandoned = attempts.filter(
+    (attempt) => attempt !== success && attempt.cost,
+  );
+  for (const attempt of abandoned) {
+    addToCostLedger(endpoint, attempt, attempt.usage, attempt.cost, true);
+  }
+  if ((status === "success" && success) || abandoned.length > 0) {
+    saveCostLedger();
+  }
+}
+
+/**
+ * Pick a percentile from sorted samples (nearest rank)
+ * @param {number[]} sorted - Samples in ascending order
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number} Sample at the percentile
+ */
+function percentileOf(sorted, percentile) {
+  const rank = Math.ceil((percentile / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+/**
+ * Turn a bucket into its reported form
+ * @param {Object} bucket - Counters with latency samples
+ * @returns {Object} Counters, success rate and latency percentiles
+ */
+function summarizeBucket({ latencies, models, providers, ...counters }) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const summary = {
+    ...counters,
+    successRate:
+      counters.requests > 0
+        ? Math.round((counters.successes / counters.requests) * 10000) / 100
+        : null,
+    latencyMs:
+      sorted.length > 0
+        ? {
+            average: Math.round(
+              sorted.reduce((a, b) => a + b, 0) / sorted.length,
+            ),
+            ...Object.fromEntries(
+              LATENCY_PERCENTILES.map((p) => [
+                `p${p}`,
+                percentileOf(sorted, p),
+              ]),
+            ),
+            samples: sorted.length,
+          }
+        : null,
+  };
+
+  if (models) {
+    summary.models = summarizeAll(models);
+  }
+  if (providers) {
+    summary.providers = summarizeAll(providers);
+  }
+  return summary;
+}
+
+/**
+ * Summarize every bucket in a map
+ * @param {Object} buckets - Buckets keyed by name
+ * @returns {Object} Summaries keyed by name
+ */
+function summarizeAll(buckets) {
+  return Object.fromEntries(
+    Object.entries(buckets).map(([name, bucket]) => [
+      name,
+      summarizeBucket(bucket),
+    ]),
+  );
+}
+
+/**
+ * Get usage per provider, model and endpoint
+ * @returns {Object} Totals across generations, and breakdowns
+ */
+export function getUsageSummary() {
+  const totals = createBucket();
+  for (const bucket of Object.values(endpointUsage)) {
+    for (const key of Object.keys(totals)) {
+      if (key !== "latencies") {
+        totals[key] += bucket[key];
+      }
+    }
+  }
+  const { latencies, ...totalCounters } = totals;
+
+  return {
+    totals: totalCounters,
+    providers: summarizeAll(providerUsage),
+    endpoints: summarizeAll(endpointUsage),
+  };
+}
+
+/**
+ * Round the cost of a ledger entry for reporting
+ * @param {Object} entry - Ledger entry
+ * @returns {Object} Entry with the cost rounded
+ */
+function reportCostEntry(entry) {
+  return { ...entry, cost: roundCost(entry.cost) };
+}
+
+/**
+ * Get estimated costs per day, month, provider, model and endpoint
+ * @param {Object} [range] - UTC days to include
+ * @param {string} [range.from] - First day, YYYY-MM-DD
+ * @param {string} [range.to] - Last day, YYYY-MM-DD
+ * @returns {Object} Totals and breakdowns in USD
+ */
+export function getCostSummary({ from, to } = {}) {
+  const total = createCostEntry();
+  const byDay = {};
+  const byMonth = {};
+  const byProvider = {};
+  const byEndpoint = {};
+
+  for (const [day, endpoints] of Object.entries(costLedger)) {
+    if ((from && day < from) || (to && day > to)) {
+      continue;
+    }
+    for (const [endpoint, providers] of Object.entries(endpoints)) {
+      for (const [provider, models] of Object.entries(providers)) {
+        for (const [model, entry] of Object.entries(models)) {
+          addCostEntry(total, entry);
+          addCostEntry((byDay[day] ||= createCostEntry()), entry);
+          addCostEntry((byMonth[day.slice(0, 7)] ||= createCostEntry()), entry);
+          addCostEntry((byEndpoint[endpoint] ||= createCostEntry()), entry);
+
+          byProvider[provider] ||= { ...createCostEntry(), models: {} };
+          addCostEntry(byProvider[provider], entry);
+          addCostEntry(
+            (byProvider[provider].models[model] ||= createCostEntry()),
+            entry,
+          );
+        }
+      }
+    }
+  }
+
+  const report = (entries) =>
+    Object.fromEntries(
+      Object.entries(entries)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, entry]) => [key, reportCostEntry(entry)]),
+    );
+
+  return {
+    currency: PRICING_CURRENCY,
+    from: from || null,
+    to: to || null,
+    total: reportCostEntry(total),
+    byDay: report(byDay),
+    byMonth: report(byMonth),
+    byProvider: Object.fromEntries(
+      Object.entries(byProvider).map(([provider, { models, ...entry }]) => [
+        provider,
+        { ...reportCostEntry(entry), models: report(models) },
+      ]),
+    ),
+    byEndpoint: report(byEndpoint),
+  };
+}